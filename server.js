@@ -1,6 +1,6 @@
 // === server.js === (arquivo completo com streaming otimizado para baixo consumo de RAM)
 const express = require("express");
-const { exec } = require("child_process");
+const { execFile, spawn } = require("child_process");
 const { promisify } = require("util");
 const fs = require("fs").promises;
 const fsSync = require("fs");
@@ -9,61 +9,821 @@ const fetch = require("node-fetch");
 const crypto = require("crypto");
 const https = require("https");
 const http = require("http");
+const net = require("net");
+const dns = require("dns");
 const archiver = require("archiver");
+const multer = require("multer");
+const { EventEmitter } = require("events");
+const { pipeline } = require("stream/promises");
+const { AsyncLocalStorage } = require("async_hooks");
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 const app = express();
 app.use(express.json());
 
 const PORT = process.env.PORT || 8080;
-const FFMPEG_API_KEY = process.env.FFMPEG_API_KEY;
 
 // ============================================
-// LIMITADOR DE CONCORRÊNCIA
+// LOGS ESTRUTURADOS (JSON por linha)
 // ============================================
-let activeJobs = 0;
-const MAX_CONCURRENT_JOBS = 3;
+// log.info/warn/error(msg, fields) escreve { time, level, msg, requestId, jobId, endpoint,
+// phase, label, ...fields }. requestId e job vêm do contexto assíncrono (logContext): o
+// request (header REQUEST_ID_HEADER) e o job em execução, sem precisar passar adiante.
+// As linhas de cada job (e o stderr do ffmpeg) ficam nas últimas JOB_LOG_LINES do job,
+// em GET /jobs/:id/logs. LOG_FORMAT=text volta ao formato legível, para desenvolvimento.
+const LOG_FORMAT = process.env.LOG_FORMAT === "text" ? "text" : "json";
+const JOB_LOG_LINES = parseInt(process.env.JOB_LOG_LINES, 10) || 500;
+const REQUEST_ID_HEADER = (process.env.REQUEST_ID_HEADER || "x-request-id").toLowerCase();
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const logContext = new AsyncLocalStorage(); // { requestId, job }
 
-async function withConcurrencyLimit(jobId, fn) {
-  const waitStart = Date.now();
-  while (activeJobs >= MAX_CONCURRENT_JOBS) {
-    if (Date.now() - waitStart > 300000) { // 5 min max wait
-      throw new Error(`Timeout aguardando slot de processamento (${MAX_CONCURRENT_JOBS} jobs ativos)`);
-    }
-    console.log(`⏳ [${jobId}] Aguardando slot (${activeJobs}/${MAX_CONCURRENT_JOBS})`);
-    await new Promise(r => setTimeout(r, 1000));
+function pushJobLog(job, entry) {
+  job.logs.push(entry);
+  if (job.logs.length > JOB_LOG_LINES) job.logs.shift();
+}
+
+// fields.job sobrepõe o job do contexto (ex: cancelamento vindo de outro request);
+// fields.error pode ser um Error (vira message + stack)
+function writeLog(level, msg, fields = {}) {
+  const { job = logContext.getStore()?.job, error, ...rest } = fields;
+  const details = {
+    ...rest,
+    ...(error instanceof Error ? { error: error.message, stack: error.stack } : error !== undefined && { error }),
+  };
+  const time = new Date().toISOString();
+  const requestId = job?.requestId ?? logContext.getStore()?.requestId ?? undefined;
+  if (job) {
+    pushJobLog(job, { time, level, phase: job.status, msg, ...details });
   }
-  
-  activeJobs++;
-  console.log(`🚀 [${jobId}] Job iniciado (${activeJobs}/${MAX_CONCURRENT_JOBS})`);
-  
+
+  const write = level === "error" ? console.error : level === "warn" ? console.warn : console.log;
+  if (LOG_FORMAT === "text") {
+    const { stack, ...extra } = details; // stack só no JSON
+    write(`${job ? `[${job.label}] ` : ""}${msg}${Object.keys(extra).length > 0 ? ` ${JSON.stringify(extra)}` : ""}`);
+  } else {
+    const correlation = job && { jobId: job.id, endpoint: job.type, phase: job.status, label: job.label };
+    write(JSON.stringify({ time, level, msg, requestId, ...correlation, ...details }));
+  }
+}
+
+const log = {
+  info: (msg, fields) => writeLog("info", msg, fields),
+  warn: (msg, fields) => writeLog("warn", msg, fields),
+  error: (msg, fields) => writeLog("error", msg, fields),
+};
+
+// X-Request-Id (ou REQUEST_ID_HEADER) do cliente: vai nos logs, no job e de volta na resposta
+app.use((req, res, next) => {
+  const requestId = req.headers[REQUEST_ID_HEADER];
+  req.requestId = typeof requestId === "string" && REQUEST_ID_PATTERN.test(requestId) ? requestId : null;
+  if (req.requestId) res.set(REQUEST_ID_HEADER, req.requestId);
+  logContext.run({ requestId: req.requestId }, next);
+});
+
+// ============================================
+// FILA DE JOBS (FIFO + prioridade, limites por pool)
+// ============================================
+// Encodes disputam CPU; ZIPs são I/O (download/upload) e têm pool próprio.
+// Na fila, maior `priority` sai primeiro; com a mesma prioridade, ordem de chegada.
+const QUEUE_POOLS = {
+  encode: { limit: parseInt(process.env.MAX_CONCURRENT_ENCODE_JOBS, 10) || 3 },
+  io: { limit: parseInt(process.env.MAX_CONCURRENT_IO_JOBS, 10) || 5 },
+};
+const JOB_POOL_BY_TYPE = { "generate-zip": "io", probe: "io" }; // demais tipos: encode
+const MAX_QUEUE_LENGTH = parseInt(process.env.MAX_QUEUE_LENGTH, 10) || 100;
+const DEFAULT_JOB_PRIORITY = 0;
+
+for (const pool of Object.values(QUEUE_POOLS)) {
+  pool.active = 0;
+  pool.waiting = []; // [{ job, priority, start }] já ordenado
+  pool.avgRunMs = null; // média móvel da duração dos jobs, para estimar a espera
+}
+
+function poolName(type) {
+  return JOB_POOL_BY_TYPE[type] || "encode";
+}
+
+function isQueueFull(type) {
+  return QUEUE_POOLS[poolName(type)].waiting.length >= MAX_QUEUE_LENGTH;
+}
+
+// Espera de quem está na posição `position` (1 = próximo): ~1 duração média a cada `limit` jobs
+// à frente. null enquanto nenhum job do pool terminou.
+function estimateWaitSeconds(pool, position) {
+  if (pool.avgRunMs === null) return null;
+  return Math.round((Math.ceil(position / pool.limit) * pool.avgRunMs) / 1000);
+}
+
+// { pool, position, estimatedWaitSeconds } enquanto o job está na fila, senão null
+function queueInfo(job) {
+  const name = poolName(job.type);
+  const pool = QUEUE_POOLS[name];
+  const index = pool.waiting.findIndex((entry) => entry.job === job);
+  if (index === -1) return null;
+  return { pool: name, position: index + 1, estimatedWaitSeconds: estimateWaitSeconds(pool, index + 1) };
+}
+
+// Formato antigo do /health e /diagnostics (um limite só): totais de todos os pools
+function concurrencyStats() {
+  const pools = Object.values(QUEUE_POOLS);
+  const activeJobs = pools.reduce((sum, pool) => sum + pool.active, 0);
+  const maxConcurrentJobs = pools.reduce((sum, pool) => sum + pool.limit, 0);
+  return { activeJobs, maxConcurrentJobs, slotsAvailable: maxConcurrentJobs - activeJobs };
+}
+
+function queueStats() {
+  return Object.fromEntries(
+    Object.entries(QUEUE_POOLS).map(([name, pool]) => [name, {
+      limit: pool.limit,
+      active: pool.active,
+      queued: pool.waiting.length,
+      // Espera estimada para um job novo
+      estimatedWaitSeconds: pool.active < pool.limit ? 0 : estimateWaitSeconds(pool, pool.waiting.length + 1),
+      jobs: pool.waiting.map(({ job, priority }, i) => ({
+        id: job.id,
+        type: job.type,
+        priority,
+        position: i + 1,
+        estimatedWaitSeconds: estimateWaitSeconds(pool, i + 1),
+      })),
+    }]),
+  );
+}
+
+async function withConcurrencyLimit(job, priority, fn) {
+  const pool = QUEUE_POOLS[poolName(job.type)];
+
+  if (pool.active >= pool.limit || pool.waiting.length > 0) {
+    const { signal } = job.abortController;
+    await new Promise((resolve, reject) => {
+      // Cancelado enquanto espera: sai da fila sem ocupar slot
+      const onAbort = () => {
+        pool.waiting.splice(pool.waiting.indexOf(entry), 1);
+        reject(signal.reason);
+      };
+      const entry = {
+        job,
+        priority,
+        start: () => {
+          signal.removeEventListener("abort", onAbort);
+          resolve();
+        },
+      };
+      const index = pool.waiting.findIndex((other) => other.priority < priority);
+      pool.waiting.splice(index === -1 ? pool.waiting.length : index, 0, entry);
+      signal.addEventListener("abort", onAbort, { once: true });
+      log.info("Job queued", { position: pool.waiting.indexOf(entry) + 1, active: pool.active, limit: pool.limit });
+    });
+  }
+
+  pool.active++;
+  observeHistogram("ffmpeg_server_job_queue_wait_seconds", { endpoint: job.type }, (Date.now() - Date.parse(job.createdAt)) / 1000);
+  log.info("Job started", { active: pool.active, limit: pool.limit });
+  const runStart = Date.now();
+
   try {
     return await fn();
   } finally {
-    activeJobs--;
-    console.log(`✅ [${jobId}] Job finalizado (${activeJobs}/${MAX_CONCURRENT_JOBS})`);
+    const runMs = Date.now() - runStart;
+    pool.avgRunMs = pool.avgRunMs === null ? runMs : Math.round(pool.avgRunMs * 0.8 + runMs * 0.2);
+    pool.active--;
+    log.info("Job slot released", { active: pool.active, limit: pool.limit });
+    const next = pool.waiting.shift();
+    if (next) next.start();
+  }
+}
+
+// Nome único para labels de job e temporários em /tmp: só o Date.now() colide entre
+// requests no mesmo milissegundo (mesmo diretório, mesma chave no storage)
+function uniqueName(prefix, separator = "-") {
+  return [prefix, Date.now(), crypto.randomBytes(4).toString("hex")].join(separator);
+}
+
+// Erro com status HTTP: validação (400) etc. Vira { error: message } na resposta.
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// ============================================
+// AUTENTICAÇÃO: API keys (escopos + quotas)
+// ============================================
+// Chaves nomeadas vêm de API_KEYS_FILE (caminho) ou API_KEYS (JSON), no formato
+// [{ name, key, scopes?, maxConcurrentJobs?, dailyJobs?, dailyBytes? }]. FFMPEG_API_KEY
+// continua valendo como a chave "default" com todos os escopos e sem quotas.
+// Escopos: nomes de endpoint (concatenate, compress, overlay, subtitles, generate-zip,
+// variants, probe, jobs) ou "*". Quotas diárias zeram à meia-noite UTC; dailyBytes conta os bytes
+// de input baixados/recebidos pelos jobs da chave.
+// Sem nenhuma chave o servidor roda aberto (com aviso), a não ser com REQUIRE_API_KEY=true.
+const API_KEY_SCOPES = ["concatenate", "compress", "overlay", "subtitles", "generate-zip", "variants", "probe", "jobs"];
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === "true";
+
+// Configuração inválida derruba o boot: cair para "sem autenticação" seria pior
+function loadApiKeys() {
+  const entries = [];
+  try {
+    if (process.env.API_KEYS_FILE) {
+      entries.push(...JSON.parse(fsSync.readFileSync(process.env.API_KEYS_FILE, "utf8")));
+    }
+    if (process.env.API_KEYS) {
+      entries.push(...JSON.parse(process.env.API_KEYS));
+    }
+  } catch (err) {
+    throw new Error(`API_KEYS/API_KEYS_FILE: ${err.message}`);
+  }
+
+  const names = new Set();
+  const apiKeys = entries.map((entry, i) => {
+    const { name, key, scopes = ["*"], maxConcurrentJobs = null, dailyJobs = null, dailyBytes = null } = entry || {};
+    const where = `API key ${name ?? `#${i + 1}`}`;
+    if (typeof name !== "string" || !name || names.has(name)) {
+      throw new Error(`${where}: name must be a unique non-empty string`);
+    }
+    if (typeof key !== "string" || key.length < 16) {
+      throw new Error(`${where}: key must be a string with at least 16 characters`);
+    }
+    if (!Array.isArray(scopes) || scopes.some((scope) => scope !== "*" && !API_KEY_SCOPES.includes(scope))) {
+      throw new Error(`${where}: scopes must be a list of "*" or ${API_KEY_SCOPES.join(", ")}`);
+    }
+    for (const [field, value] of Object.entries({ maxConcurrentJobs, dailyJobs, dailyBytes })) {
+      if (value !== null && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`${where}: ${field} must be a positive integer`);
+      }
+    }
+    names.add(name);
+    return { name, digest: Buffer.from(sha256(key), "hex"), scopes, maxConcurrentJobs, dailyJobs, dailyBytes };
+  });
+
+  // Chave legada: sem exigência de tamanho, para não quebrar instalações existentes
+  if (process.env.FFMPEG_API_KEY) {
+    if (names.has("default")) throw new Error('API key default: name already used by FFMPEG_API_KEY');
+    apiKeys.push({ name: "default", digest: Buffer.from(sha256(process.env.FFMPEG_API_KEY), "hex"), scopes: ["*"], maxConcurrentJobs: null, dailyJobs: null, dailyBytes: null });
+  }
+  return apiKeys;
+}
+
+const API_KEYS = (() => {
+  try {
+    return loadApiKeys();
+  } catch (err) {
+    log.error("Invalid API key configuration", { error: err.message });
+    process.exit(1);
   }
+})();
+
+if (API_KEYS.length === 0 && REQUIRE_API_KEY) {
+  log.error("REQUIRE_API_KEY=true but no API key is configured (API_KEYS, API_KEYS_FILE or FFMPEG_API_KEY)");
+  process.exit(1);
+}
+
+// Compara contra todas as chaves (digests de mesmo tamanho, timingSafeEqual) sem parar na primeira
+function findApiKey(presented) {
+  const digest = Buffer.from(sha256(presented), "hex");
+  let found = null;
+  for (const apiKey of API_KEYS) {
+    if (crypto.timingSafeEqual(digest, apiKey.digest)) found = apiKey;
+  }
+  return found;
+}
+
+// Uso do dia (UTC) por chave: { day, jobs, bytes }
+const apiKeyUsage = new Map();
+
+function usageOf(apiKey) {
+  const day = new Date().toISOString().slice(0, 10);
+  let usage = apiKeyUsage.get(apiKey.name);
+  if (!usage || usage.day !== day) {
+    usage = { day, jobs: 0, bytes: 0 };
+    apiKeyUsage.set(apiKey.name, usage);
+  }
+  return usage;
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now) / 1000);
+}
+
+// Erro 429 (com retryAfter, em segundos, para as quotas diárias) ou null se o job pode entrar
+function apiKeyQuotaError(apiKey) {
+  if (!apiKey) return null;
+  const usage = usageOf(apiKey);
+  const quotaError = (message, retryAfter = null) => Object.assign(httpError(429, `API key ${apiKey.name}: ${message}`), { retryAfter });
+
+  if (apiKey.maxConcurrentJobs !== null) {
+    const active = [...jobs.values()].filter((job) => job.apiKey === apiKey.name && !FINAL_JOB_STATES.includes(job.status)).length;
+    if (active >= apiKey.maxConcurrentJobs) {
+      return quotaError(`concurrency limit reached (${active}/${apiKey.maxConcurrentJobs} jobs queued or running)`);
+    }
+  }
+  if (apiKey.dailyJobs !== null && usage.jobs >= apiKey.dailyJobs) {
+    return quotaError(`daily job quota reached (${usage.jobs}/${apiKey.dailyJobs})`, secondsUntilUtcMidnight());
+  }
+  if (apiKey.dailyBytes !== null && usage.bytes >= apiKey.dailyBytes) {
+    return quotaError(`daily input byte quota reached (${usage.bytes}/${apiKey.dailyBytes})`, secondsUntilUtcMidnight());
+  }
+  return null;
 }
 
-// API Key authentication middleware
-const authenticateApiKey = (req, res, next) => {
-  const apiKey = req.headers["x-api-key"];
+// Jobs de uma chave só são visíveis para ela (ou para chaves com escopo "*")
+function canAccessJob(req, job) {
+  return !req.apiKey || req.apiKey.scopes.includes("*") || job.apiKey === req.apiKey.name;
+}
 
-  if (!FFMPEG_API_KEY) {
-    console.error("⚠️ WARNING: FFMPEG_API_KEY not configured - running without authentication!");
+// API Key authentication middleware: 401 sem chave/chave inválida, 403 fora do escopo
+const authenticateApiKey = (scope) => (req, res, next) => {
+  if (API_KEYS.length === 0) {
+    log.warn("No API key configured - running without authentication");
     return next();
   }
 
-  if (!apiKey || apiKey !== FFMPEG_API_KEY) {
-    console.error("❌ Unauthorized request - Invalid or missing API key");
+  const presented = req.headers["x-api-key"];
+  const apiKey = typeof presented === "string" && presented ? findApiKey(presented) : null;
+  if (!apiKey) {
+    log.warn("Unauthorized request - invalid or missing API key");
     return res.status(401).json({
       error: "Unauthorized - Invalid or missing API key",
     });
   }
 
+  if (!apiKey.scopes.includes("*") && !apiKey.scopes.includes(scope)) {
+    log.warn("API key not allowed on this scope", { apiKey: apiKey.name, scope });
+    return res.status(403).json({ error: `Forbidden - API key ${apiKey.name} is not allowed to use ${scope}` });
+  }
+
+  req.apiKey = apiKey;
   next();
 };
 
+// ============================================
+// REGISTRO DE JOBS (sync + async)
+// ============================================
+// Todo request de processamento vira um job. Em modo `async: true` o endpoint
+// responde 202 na hora e o cliente consulta GET /jobs/:id; o registro fica em
+// memória até JOB_RETENTION_MS depois de terminar.
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS, 10) || 24 * 60 * 60 * 1000; // 24h
+const FINAL_JOB_STATES = ["done", "failed", "cancelled"];
+const PROGRESS_EMIT_INTERVAL_MS = 500;
+const jobs = new Map();
+
+// Eventos por job (status/progress/done/failed/cancelled) consumidos por GET /jobs/:id/events
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function createJob(type, label, callback = null) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    label,
+    status: "queued",
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    progress: null,
+    progressEmittedAt: 0,
+    httpStatus: null,
+    callback,
+    apiKey: null, // nome da chave que criou o job (quotas e visibilidade)
+    phaseStartedAt: null, // início da fase atual (métricas de duração por fase)
+    requestId: null,
+    logs: [], // últimas JOB_LOG_LINES linhas de log do job (GET /jobs/:id/logs)
+    // Abortado por cancelJob: downloads/uploads e o ffmpeg do job escutam este signal
+    abortController: new AbortController(),
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+// queued → downloading → encoding → uploading → done | failed | cancelled
+function setJobStatus(job, status) {
+  recordJobTransition(job, status);
+  job.status = status;
+  job.progress = null;
+  job.updatedAt = new Date().toISOString();
+  jobEvents.emit(job.id, "status", { status });
+}
+
+// Progresso da fase atual; emitido no máximo a cada PROGRESS_EMIT_INTERVAL_MS (exceto ao chegar em 100%)
+function updateJobProgress(job, progress) {
+  job.progress = { phase: job.status, ...progress };
+  const now = Date.now();
+  if (progress.percent === 100 || now - job.progressEmittedAt >= PROGRESS_EMIT_INTERVAL_MS) {
+    job.progressEmittedAt = now;
+    jobEvents.emit(job.id, "progress", job.progress);
+  }
+}
+
+function percentOf(done, total) {
+  return total ? Math.min(100, Math.round((done / total) * 1000) / 10) : null;
+}
+
+function finishJob(job, result) {
+  if (result?.originalSize > 0 && result.compressedSize > 0) {
+    observeHistogram("ffmpeg_server_compression_ratio", { endpoint: job.type }, result.compressedSize / result.originalSize);
+  }
+  job.result = result;
+  job.httpStatus = 200;
+  job.finishedAt = new Date().toISOString();
+  setJobStatus(job, "done");
+  jobEvents.emit(job.id, "done", result);
+}
+
+// Um formato só para erros de job: { error, details? }. Erro com statusCode (400, 413, 422...)
+// já é a mensagem específica e vai em `error`; os demais viram `failure` ("Compression failed")
+// com a causa em `details`.
+function failJob(job, error, failure) {
+  job.httpStatus = error.statusCode || 500;
+  if (error.statusCode === 503) {
+    job.error = { error: "Server busy", details: error.message };
+  } else {
+    job.error = error.statusCode ? { error: error.message } : { error: failure, details: error.message };
+  }
+  job.finishedAt = new Date().toISOString();
+  setJobStatus(job, "failed");
+  jobEvents.emit(job.id, "failed", job.error);
+}
+
+// DELETE /jobs/:id ou cliente síncrono desconectado. Marca o job como cancelled na hora e
+// aborta o signal: a fila descarta o job, ou o run() interrompe download/upload/ffmpeg
+// e limpa o próprio tempDir no catch. Retorna false se o job já tinha terminado.
+function cancelJob(job, reason) {
+  if (FINAL_JOB_STATES.includes(job.status)) {
+    return false;
+  }
+  job.httpStatus = 409;
+  job.error = { error: "Job cancelled", details: reason };
+  job.finishedAt = new Date().toISOString();
+  setJobStatus(job, "cancelled");
+  jobEvents.emit(job.id, "cancelled", job.error);
+  job.abortController.abort(new Error(`Job cancelled: ${reason}`));
+  log.info("Job cancelled", { job, reason });
+  return true;
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    label: job.label,
+    status: job.status,
+    requestId: job.requestId,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    queue: job.status === "queued" ? queueInfo(job) : null,
+    result: job.result,
+    error: job.error,
+    callback: job.callback && {
+      url: job.callback.url,
+      status: job.callback.status,
+      attempts: job.callback.attempts,
+      lastError: job.callback.lastError,
+      deliveredAt: job.callback.deliveredAt,
+    },
+  };
+}
+
+function pruneJobs() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [id, job] of jobs) {
+    if (FINAL_JOB_STATES.includes(job.status) && now - Date.parse(job.finishedAt) > JOB_RETENTION_MS) {
+      jobs.delete(id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Cria o job e executa `run(job)` dentro do limitador de concorrência, respondendo conforme o modo:
+// - sync: segura o request e responde com o resultado (ou erro) do job
+// - async (`async: true` no body): responde 202 com o jobId imediatamente
+// `run` retorna { body, ... }; `respond` permite respostas que não são JSON.
+// `failure` é o `error` da resposta quando o job falha sem statusCode (ver failJob).
+// Com `callbackUrl` no body, o resultado também é enviado via webhook (ver deliverCallback).
+function runJob(req, res, { type, label, run, failure, respond = (res, outcome) => res.json(outcome.body) }) {
+  const { callbackUrl, callbackSecret } = req.body;
+
+  if (callbackUrl !== undefined && !isHttpUrl(callbackUrl)) {
+    return res.status(400).json({ error: "callbackUrl must be an http(s) URL" });
+  }
+  if (callbackUrl !== undefined) {
+    try {
+      assertOutboundUrl(callbackUrl);
+    } catch (error) {
+      return res.status(error.statusCode).json({ error: `callbackUrl: ${error.message}` });
+    }
+  }
+
+  const callback = callbackUrl
+    ? { url: callbackUrl, secret: callbackSecret || CALLBACK_SECRET, status: "pending", attempts: 0, lastError: null, deliveredAt: null }
+    : null;
+  if (isQueueFull(type)) {
+    incCounter("ffmpeg_server_jobs_total", { endpoint: type, outcome: "rejected" });
+    return res.status(503).json({ error: "Server busy", details: `Queue is full (${MAX_QUEUE_LENGTH} jobs waiting)` });
+  }
+  const quotaError = apiKeyQuotaError(req.apiKey);
+  if (quotaError) {
+    incCounter("ffmpeg_server_jobs_total", { endpoint: type, outcome: "rejected" });
+    if (quotaError.retryAfter) res.set("Retry-After", String(quotaError.retryAfter));
+    return res.status(429).json({ error: quotaError.message });
+  }
+
+  const job = createJob(type, label, callback);
+  job.requestId = req.requestId;
+  if (req.apiKey) {
+    job.apiKey = req.apiKey.name;
+    usageOf(req.apiKey).jobs++;
+  }
+
+  // Tudo que o job loga (inclusive callbacks) sai com jobId/endpoint/phase e vai para job.logs
+  const inJobContext = (fn) => logContext.run({ requestId: req.requestId, job }, fn);
+
+  const execution = inJobContext(() => withConcurrencyLimit(job, req.body.priority ?? DEFAULT_JOB_PRIORITY, async () => {
+    job.startedAt = new Date().toISOString();
+    return run(job);
+  })).then(
+    (outcome) => {
+      if (job.status === "cancelled") {
+        // Terminou junto com o cancelamento: descarta o resultado (e o arquivo ainda não enviado)
+        if (outcome.tempDir) fs.rm(outcome.tempDir, { recursive: true, force: true }).catch(() => {});
+        throw job.abortController.signal.reason;
+      }
+      finishJob(job, outcome.body);
+      return outcome;
+    },
+    (error) => {
+      if (job.status !== "cancelled") {
+        failJob(job, error, failure);
+      }
+      throw error;
+    },
+  );
+
+  if (callback) {
+    execution.finally(() => inJobContext(() => deliverCallback(job))).catch(() => {});
+  }
+
+  // Arquivos recebidos via multipart ficam até o job terminar (ver acceptUploads)
+  if (req.uploadDir) {
+    req.uploadsClaimed = true;
+    execution.finally(() => fs.rm(req.uploadDir, { recursive: true, force: true })).catch(() => {});
+  }
+
+  res.set("X-Job-Id", job.id);
+
+  if (req.body.async === true) {
+    execution.catch(() => {}); // erro já registrado no job
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+      queue: queueInfo(job),
+    });
+  }
+
+  // Síncrono: sem o server.timeout neste request, senão o servidor mesmo fecharia o socket
+  // de renders longos (ffmpeg tem até 900s) e o job seria cancelado como desconexão.
+  // Assim o "close" antes do fim só acontece se o cliente desistir de fato;
+  // sem callbackUrl ninguém receberia o resultado.
+  req.setTimeout(0);
+  res.on("close", () => {
+    if (!res.writableFinished && !callback) {
+      cancelJob(job, "Client disconnected");
+    }
+  });
+
+  execution
+    .then((outcome) => respond(res, outcome))
+    .catch(() => {
+      if (!res.headersSent && !res.destroyed) res.status(job.httpStatus).json(job.error);
+    });
+}
+
+// ============================================
+// CALLBACKS (WEBHOOK) AO FINAL DO JOB
+// ============================================
+// O corpo é o mesmo JSON que o endpoint retornaria (resultado ou erro).
+// Assinatura: X-Signature = "sha256=" + HMAC-SHA256(secret, `${X-Signature-Timestamp}.${corpo}`)
+const CALLBACK_SECRET = process.env.CALLBACK_SECRET;
+const CALLBACK_MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10) || 5;
+const CALLBACK_TIMEOUT_MS = 10000;
+
+function isHttpUrl(value) {
+  if (typeof value !== "string") return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+function signCallback(secret, timestamp, payload) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+}
+
+async function deliverCallback(job) {
+  const callback = job.callback;
+  const payload = JSON.stringify(job.status === "done" ? job.result : job.error);
+
+  if (!callback.secret) {
+    log.warn("Sending callback unsigned (no callbackSecret or CALLBACK_SECRET)");
+  }
+
+  while (callback.attempts < CALLBACK_MAX_ATTEMPTS) {
+    callback.attempts++;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Job-Id": job.id,
+      "X-Job-Status": job.status,
+      "X-Signature-Timestamp": timestamp,
+    };
+    if (callback.secret) {
+      headers["X-Signature"] = signCallback(callback.secret, timestamp, payload);
+    }
+
+    try {
+      const response = await safeFetch(callback.url, {
+        method: "POST",
+        headers,
+        body: payload,
+        timeout: CALLBACK_TIMEOUT_MS,
+      });
+
+      if (response.ok) {
+        callback.status = "delivered";
+        callback.deliveredAt = new Date().toISOString();
+        log.info("Callback delivered", { attempt: callback.attempts });
+        return;
+      }
+
+      callback.lastError = `HTTP ${response.status}`;
+      // 4xx (exceto 408/429) não vai mudar com retry
+      if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+        break;
+      }
+    } catch (err) {
+      callback.lastError = err.message;
+      // Bloqueado pela política de saída (ver assertOutboundUrl): retry não muda nada
+      if (err.statusCode === 400) break;
+    }
+
+    log.warn("Callback failed", { attempt: callback.attempts, maxAttempts: CALLBACK_MAX_ATTEMPTS, error: callback.lastError });
+
+    if (callback.attempts < CALLBACK_MAX_ATTEMPTS) {
+      await new Promise((r) => setTimeout(r, 1000 * 2 ** (callback.attempts - 1))); // 1s, 2s, 4s, 8s...
+    }
+  }
+
+  callback.status = "failed";
+  log.error("Callback not delivered", { attempts: callback.attempts, error: callback.lastError });
+}
+
+// pgrep sai com código 1 quando não encontra nenhum processo
+async function countFfmpegProcesses() {
+  try {
+    const { stdout } = await execFileAsync("pgrep", ["ffmpeg"]);
+    return stdout.trim().split("\n").filter(Boolean).length;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// ============================================
+// MÉTRICAS (Prometheus, GET /metrics)
+// ============================================
+// Registro próprio, em memória (zera no restart). Contadores e histogramas são
+// atualizados pelos jobs; gauges com `collect` são lidos na hora do scrape.
+const DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+const RATIO_BUCKETS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1, 1.5];
+const JOB_PHASES = ["downloading", "encoding", "uploading"];
+const METRICS = new Map();
+
+function defineMetric(name, type, help, { buckets = null, collect = null } = {}) {
+  METRICS.set(name, { type, help, buckets, collect, series: new Map() });
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`,
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function incCounter(name, labels = {}, value = 1) {
+  const { series } = METRICS.get(name);
+  const key = formatLabels(labels);
+  series.set(key, (series.get(key) || 0) + value);
+}
+
+function observeHistogram(name, labels, value) {
+  const metric = METRICS.get(name);
+  const key = formatLabels(labels);
+  let entry = metric.series.get(key);
+  if (!entry) {
+    entry = { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+    metric.series.set(key, entry);
+  }
+  metric.buckets.forEach((le, i) => {
+    if (value <= le) entry.counts[i]++;
+  });
+  entry.sum += value;
+  entry.count++;
+}
+
+// Chamado por setJobStatus antes de trocar o status: fecha a fase anterior e conta o resultado
+function recordJobTransition(job, status) {
+  const now = Date.now();
+  if (JOB_PHASES.includes(job.status)) {
+    observeHistogram("ffmpeg_server_job_phase_duration_seconds", { endpoint: job.type, phase: job.status }, (now - job.phaseStartedAt) / 1000);
+  }
+  job.phaseStartedAt = now;
+  if (FINAL_JOB_STATES.includes(status)) {
+    incCounter("ffmpeg_server_jobs_total", { endpoint: job.type, outcome: status });
+    observeHistogram("ffmpeg_server_job_duration_seconds", { endpoint: job.type, outcome: status }, (now - Date.parse(job.createdAt)) / 1000);
+  }
+}
+
+// Tamanho em disco dos temporários dos jobs (prefixos de TEMP_FILE_PREFIXES em /tmp)
+async function tempDiskUsage(target = "/tmp", depth = 0) {
+  let total = 0;
+  const entries = await fs.readdir(target, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (depth === 0 && !TEMP_FILE_PREFIXES.some((prefix) => entry.name.startsWith(prefix))) continue;
+    const entryPath = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      total += await tempDiskUsage(entryPath, depth + 1);
+    } else {
+      total += (await fs.stat(entryPath).catch(() => ({ size: 0 }))).size;
+    }
+  }
+  return total;
+}
+
+defineMetric("ffmpeg_server_jobs_total", "counter", "Jobs by endpoint and outcome (done, failed, cancelled, rejected)");
+defineMetric("ffmpeg_server_job_duration_seconds", "histogram", "Job duration from creation to final state", { buckets: DURATION_BUCKETS });
+defineMetric("ffmpeg_server_job_queue_wait_seconds", "histogram", "Time jobs spent waiting for a concurrency slot", { buckets: DURATION_BUCKETS });
+defineMetric("ffmpeg_server_job_phase_duration_seconds", "histogram", "Duration of the download, encode and upload phases", { buckets: DURATION_BUCKETS });
+defineMetric("ffmpeg_server_compression_ratio", "histogram", "Output size / input size of re-encoded videos", { buckets: RATIO_BUCKETS });
+defineMetric("ffmpeg_server_input_bytes_total", "counter", "Input bytes delivered to jobs by source (http, s3, r2, upload)");
+defineMetric("ffmpeg_server_output_bytes_total", "counter", "Output bytes by destination (storage driver or response body)");
+defineMetric("ffmpeg_server_cleanup_removed_total", "counter", "Items removed by the periodic cleanup");
+defineMetric("ffmpeg_server_jobs_active", "gauge", "Jobs running per pool", {
+  collect: () => Object.entries(QUEUE_POOLS).map(([pool, { active }]) => [{ pool }, active]),
+});
+defineMetric("ffmpeg_server_jobs_queued", "gauge", "Jobs waiting for a slot per pool", {
+  collect: () => Object.entries(QUEUE_POOLS).map(([pool, { waiting }]) => [{ pool }, waiting.length]),
+});
+defineMetric("ffmpeg_server_ffmpeg_processes", "gauge", "Running ffmpeg processes", {
+  collect: async () => [[{}, await countFfmpegProcesses()]],
+});
+defineMetric("ffmpeg_server_temp_disk_bytes", "gauge", "Disk used by job temp files and the source cache", {
+  collect: async () => [[{ kind: "jobs" }, await tempDiskUsage()], [{ kind: "source_cache" }, sourceCache.totalBytes]],
+});
+defineMetric("ffmpeg_server_source_cache_requests_total", "counter", "Source cache lookups (hit = revalidated with 304)", {
+  collect: () => [[{ result: "hit" }, sourceCache.stats.hits], [{ result: "miss" }, sourceCache.stats.misses]],
+});
+
+async function renderMetrics() {
+  const lines = [];
+  for (const [name, metric] of METRICS) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    if (metric.collect) {
+      for (const [labels, value] of await metric.collect()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+    } else if (metric.type === "histogram") {
+      for (const { labels, counts, sum, count } of metric.series.values()) {
+        metric.buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`, `${name}_count${formatLabels(labels)} ${count}`);
+      }
+    } else {
+      for (const [key, value] of metric.series) {
+        lines.push(`${name}${key} ${value}`);
+      }
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8").send(await renderMetrics());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Health check (public endpoint)
 app.get("/health", (req, res) => {
   const version = fsSync.existsSync("./VERSION") ? fsSync.readFileSync("./VERSION", "utf8").trim() : "unknown";
@@ -74,11 +834,8 @@ app.get("/health", (req, res) => {
     hasAudioFix: version.includes("audio-sync-fix"),
     timestamp: new Date().toISOString(),
     optimizations: "streaming-enabled",
-    concurrency: {
-      activeJobs,
-      maxConcurrentJobs: MAX_CONCURRENT_JOBS,
-      slotsAvailable: MAX_CONCURRENT_JOBS - activeJobs
-    }
+    concurrency: concurrencyStats(),
+    queues: queueStats(),
   });
 });
 
@@ -96,16 +853,14 @@ app.get("/diagnostics", async (req, res) => {
       },
       uptime: (process.uptime() / 60).toFixed(2) + " minutes",
       optimizations: "streaming-enabled",
-      concurrency: {
-        activeJobs,
-        maxConcurrentJobs: MAX_CONCURRENT_JOBS,
-        slotsAvailable: MAX_CONCURRENT_JOBS - activeJobs
-      }
+      concurrency: concurrencyStats(),
+      queues: queueStats(),
+      sourceCache: sourceCacheStats(),
     };
 
     // Check FFmpeg availability
     try {
-      await execAsync("ffmpeg -version");
+      await execFileAsync("ffmpeg", ["-version"]);
       diagnostics.ffmpeg = "available";
     } catch (err) {
       diagnostics.ffmpeg = "not available";
@@ -113,8 +868,8 @@ app.get("/diagnostics", async (req, res) => {
 
     // Check disk space in /tmp
     try {
-      const { stdout } = await execAsync("df -h /tmp | tail -1");
-      const parts = stdout.trim().split(/\s+/);
+      const { stdout } = await execFileAsync("df", ["-h", "/tmp"]);
+      const parts = stdout.trim().split("\n").pop().split(/\s+/);
       diagnostics.disk = {
         total: parts[1],
         used: parts[2],
@@ -126,12 +881,7 @@ app.get("/diagnostics", async (req, res) => {
     }
 
     // Count running FFmpeg processes
-    try {
-      const { stdout } = await execAsync("pgrep ffmpeg | wc -l");
-      diagnostics.ffmpeg_processes = parseInt(stdout.trim());
-    } catch (err) {
-      diagnostics.ffmpeg_processes = 0;
-    }
+    diagnostics.ffmpeg_processes = await countFfmpegProcesses();
 
     res.json(diagnostics);
   } catch (error) {
@@ -140,115 +890,766 @@ app.get("/diagnostics", async (req, res) => {
 });
 
 // ============================================
-// HELPER: Download via streaming (não carrega em RAM)
+// ENDPOINTS: consulta de jobs
 // ============================================
-async function downloadToFile(url, outputPath, timeoutMs = 300000) {
-  return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    const protocol = parsedUrl.protocol === 'https:' ? https : http;
-    const fileStream = fsSync.createWriteStream(outputPath);
-    
-    const options = {
-      hostname: parsedUrl.hostname,
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: 'GET',
-      timeout: timeoutMs,
-      rejectUnauthorized: false,
-      requestCert: false,
-      agent: false,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    };
+app.get("/jobs", authenticateApiKey("jobs"), (req, res) => {
+  const { status, type } = req.query;
+  const list = [...jobs.values()]
+    .filter((job) => canAccessJob(req, job) && (!status || job.status === status) && (!type || job.type === type))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(serializeJob);
 
-    const req = protocol.request(options, (response) => {
-      // Handle redirects
-      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-        fileStream.close();
-        fs.unlink(outputPath).catch(() => {});
-        return downloadToFile(response.headers.location, outputPath, timeoutMs)
-          .then(resolve)
-          .catch(reject);
-      }
-      
-      if (response.statusCode !== 200) {
-        fileStream.close();
-        fs.unlink(outputPath).catch(() => {});
-        return reject(new Error(`HTTP ${response.statusCode}`));
-      }
-      
-      // Check for HTML response (Google Drive blocking)
-      const contentType = response.headers['content-type'] || '';
-      if (contentType.includes('text/html')) {
-        fileStream.close();
-        fs.unlink(outputPath).catch(() => {});
-        return reject(new Error('Received HTML instead of video - link may be blocked'));
-      }
-      
-      // STREAMING: Pipe direto para arquivo (não RAM)
-      response.pipe(fileStream);
-      
-      fileStream.on('finish', () => {
-        fileStream.close();
-        resolve();
-      });
-      
-      fileStream.on('error', (err) => {
-        fileStream.close();
-        fs.unlink(outputPath).catch(() => {});
-        reject(err);
-      });
-    });
+  res.json({ jobs: list, retentionMs: JOB_RETENTION_MS });
+});
 
-    req.on('error', (error) => {
-      fileStream.close();
-      fs.unlink(outputPath).catch(() => {});
-      reject(new Error(`Erro de rede: ${error.message}`));
-    });
+app.get("/jobs/:id", authenticateApiKey("jobs"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(serializeJob(job));
+});
 
-    req.on('timeout', () => {
-      req.destroy();
-      fileStream.close();
-      fs.unlink(outputPath).catch(() => {});
-      reject(new Error('Download timeout'));
-    });
+app.delete("/jobs/:id", authenticateApiKey("jobs"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (!cancelJob(job, "Cancelled via DELETE /jobs/:id")) {
+    return res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+  }
+  res.json(serializeJob(job));
+});
+
+// Últimas JOB_LOG_LINES linhas do job (logs do servidor + stderr do ffmpeg, com source: "ffmpeg").
+// ?source=ffmpeg|server filtra; continua disponível enquanto o job estiver no registro.
+app.get("/jobs/:id/logs", authenticateApiKey("jobs"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  const { source } = req.query;
+  if (source !== undefined && source !== "ffmpeg" && source !== "server") {
+    return res.status(400).json({ error: "source must be ffmpeg or server" });
+  }
+  const logs = source === undefined ? job.logs : job.logs.filter((line) => (line.source === "ffmpeg") === (source === "ffmpeg"));
+  res.json({ jobId: job.id, status: job.status, maxLines: JOB_LOG_LINES, logs });
+});
+
+// Server-Sent Events: snapshot inicial + eventos status/progress até done/failed/cancelled
+app.get("/jobs/:id/events", authenticateApiKey("jobs"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
 
-    req.end();
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
   });
-}
+  res.flushHeaders();
 
-// ============================================
-// HELPER: Upload via streaming para R2
-// ============================================
-async function uploadFileStreamToR2(signedUrl, filePath, contentType = 'video/mp4') {
-  const stats = await fs.stat(filePath);
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send("snapshot", serializeJob(job));
+  if (FINAL_JOB_STATES.includes(job.status)) {
+    send(job.status, job.status === "done" ? job.result : job.error);
+    return res.end();
+  }
+
+  const listener = (event, data) => {
+    send(event, data);
+    if (FINAL_JOB_STATES.includes(event)) {
+      res.end();
+    }
+  };
+  // Mantém a conexão viva (server.timeout) e atravessa proxies
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  jobEvents.on(job.id, listener);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    jobEvents.off(job.id, listener);
+  });
+});
+
+// ============================================
+// SEGURANÇA: requests de saída (SSRF + TLS)
+// ============================================
+// Todo download/upload/callback/probe passa por aqui: o host é resolvido e endereços
+// privados, loopback e link-local (ex: 169.254.169.254, metadata da cloud) são recusados,
+// inclusive depois de redirects. A checagem do IP é feita no `lookup` da conexão, então o
+// IP validado é o mesmo usado (sem brecha de DNS rebinding).
+const OUTBOUND_ALLOW_PRIVATE = process.env.OUTBOUND_ALLOW_PRIVATE === "true";
+const OUTBOUND_TLS_VERIFY = process.env.OUTBOUND_TLS_INSECURE !== "true";
+const parseDomainList = (value) => (value || "").split(",").map((d) => d.trim().toLowerCase().replace(/^\*?\./, "")).filter(Boolean);
+const OUTBOUND_ALLOWED_DOMAINS = parseDomainList(process.env.OUTBOUND_ALLOWED_DOMAINS);
+const OUTBOUND_DENIED_DOMAINS = parseDomainList(process.env.OUTBOUND_DENIED_DOMAINS);
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+// BlockList também cobre IPv4 mapeado em IPv6 (::ffff:127.0.0.1)
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// 400: a URL do request é que não é aceita (401/403/429 ficam só para a API key)
+function outboundBlocked(reason) {
+  return httpError(400, `Outbound request blocked: ${reason}`);
+}
+
+// "example.com" na lista cobre example.com e *.example.com
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Protocolo, allowlist/denylist de domínios e IP literal (o `lookup` não é chamado para IPs).
+// `trusted`: endpoint de um perfil de storage do operador (ver outboundRequestOptions).
+function assertOutboundUrl(url, { trusted = false } = {}) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw outboundBlocked(`unsupported protocol ${protocol}`);
+  }
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (OUTBOUND_DENIED_DOMAINS.some((domain) => matchesDomain(host, domain))) {
+    throw outboundBlocked(`${host} is in OUTBOUND_DENIED_DOMAINS`);
+  }
+  if (OUTBOUND_ALLOWED_DOMAINS.length > 0 && !OUTBOUND_ALLOWED_DOMAINS.some((domain) => matchesDomain(host, domain))) {
+    throw outboundBlocked(`${host} is not in OUTBOUND_ALLOWED_DOMAINS`);
+  }
+  if (net.isIP(host) && !OUTBOUND_ALLOW_PRIVATE && !trusted && isPrivateAddress(host)) {
+    throw outboundBlocked(`${host} is a private address`);
+  }
+}
+
+// `lookup` para http(s).request / agents: recusa o host se algum IP resolvido for privado
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = OUTBOUND_ALLOW_PRIVATE ? null : addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(outboundBlocked(`${hostname} resolves to private address ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Opções comuns de http(s).request para URLs externas
+const OUTBOUND_REQUEST_OPTIONS = { lookup: safeLookup, rejectUnauthorized: OUTBOUND_TLS_VERIFY, agent: false };
+
+// Endpoints de perfis de STORAGE_PROFILES (destination/inputStorage com `profile`, ver
+// resolveDestination) são configurados pelo operador e podem estar na rede interna (MinIO):
+// só esses requests pulam a checagem de IP privado. URLs vindas do cliente continuam checadas.
+function outboundRequestOptions({ trusted = false } = {}) {
+  return trusted ? { ...OUTBOUND_REQUEST_OPTIONS, lookup: dns.lookup } : OUTBOUND_REQUEST_OPTIONS;
+}
+
+const OUTBOUND_AGENTS = {
+  "http:": new http.Agent({ lookup: safeLookup }),
+  "https:": new https.Agent({ lookup: safeLookup, rejectUnauthorized: OUTBOUND_TLS_VERIFY }),
+};
+const TRUSTED_OUTBOUND_AGENTS = {
+  "http:": new http.Agent(),
+  "https:": new https.Agent({ rejectUnauthorized: OUTBOUND_TLS_VERIFY }),
+};
+
+// fetch com a política de saída. Redirects não são seguidos (3xx volta como resposta).
+// options.trusted: endpoint de perfil de storage (ver outboundRequestOptions).
+async function safeFetch(url, { trusted = false, ...options } = {}) {
+  assertOutboundUrl(url, { trusted });
+  const agents = trusted ? TRUSTED_OUTBOUND_AGENTS : OUTBOUND_AGENTS;
+  return fetch(url, { ...options, redirect: "manual", agent: (parsedUrl) => agents[parsedUrl.protocol] });
+}
+
+// ============================================
+// HELPER: Download via streaming (não carrega em RAM)
+// ============================================
+const DOWNLOAD_MAX_ATTEMPTS = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS, 10) || 4;
+const MAX_DOWNLOAD_REDIRECTS = 5;
+const MAX_INPUT_SIZE_BYTES = (parseInt(process.env.MAX_INPUT_SIZE_MB, 10) || 2048) * 1024 * 1024;
+
+// options.onProgress({ bytes, totalBytes }) é chamado a cada chunk recebido;
+// options.signal (AbortSignal) interrompe o download; options.headers (tokens, cookies...)
+// vão em todos os requests, mas não seguem redirect para outra origem.
+// Erro de rede, timeout, 5xx/408/429 e arquivo truncado (menor que o Content-Length) são
+// refeitos com backoff, retomando via Range de onde parou. Acima de options.maxBytes
+// (padrão MAX_INPUT_SIZE_MB) o download é abortado com 413 — pelo Content-Length, antes de baixar.
+// Com options.validators ({ etag, lastModified } de uma cópia local) o GET é condicional.
+// Com options.prefixBytes só o começo do arquivo é baixado (Range; se o servidor ignorar,
+// a leitura para ao passar do limite), sem o limite de tamanho — ver /probe.
+// Resolve { notModified, etag, lastModified, totalBytes } — notModified = 304, nada foi gravado;
+// totalBytes = tamanho do arquivo inteiro, quando o servidor informa.
+async function downloadToFile(url, outputPath, timeoutMs = 300000, options = {}) {
+  const maxBytes = options.maxBytes ?? MAX_INPUT_SIZE_BYTES;
+  // validator: ETag/Last-Modified da primeira resposta, para o If-Range da retomada
+  const state = { bytes: 0, totalBytes: null, validator: null, etag: null, lastModified: null };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await downloadAttempt(url, outputPath, timeoutMs, options, maxBytes, state);
+    } catch (err) {
+      if (options.signal?.aborted || attempt >= DOWNLOAD_MAX_ATTEMPTS || !err.retryable) {
+        await fs.unlink(outputPath).catch(() => {});
+        throw err;
+      }
+      // O que está no disco é o que vale para retomar (pode ser menos do que foi recebido)
+      state.bytes = (await fs.stat(outputPath).catch(() => ({ size: 0 }))).size;
+      const delayMs = 1000 * 2 ** (attempt - 1); // 1s, 2s, 4s...
+      log.warn("Download failed, retrying", {
+        host: new URL(url).host,
+        attempt,
+        maxAttempts: DOWNLOAD_MAX_ATTEMPTS,
+        error: err.message,
+        resumeFromByte: state.bytes,
+        retryInSeconds: delayMs / 1000,
+      });
+      await new Promise((r) => setTimeout(r, delayMs));
+    }
+  }
+}
+
+// Acrescenta contexto à mensagem mantendo o statusCode (ex: 413 do limite de tamanho)
+function downloadFailure(context, err) {
+  const message = `${context}: ${err.message}`;
+  return err.statusCode ? httpError(err.statusCode, message) : new Error(message);
+}
+
+function retryableError(message, retryable = true) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+function downloadAttempt(startUrl, outputPath, timeoutMs, options, maxBytes, state) {
+  const tooLarge = (size) => httpError(413, `Input is larger than the ${Math.round(maxBytes / 1024 / 1024)} MB limit (${size} bytes)`);
+  const prefixBytes = options.prefixBytes ?? null;
+  let redirects = 0;
+  const originalHost = new URL(startUrl).host;
+
+  return new Promise((resolve, reject) => {
+    const request = (url, callerHeaders) => {
+      const parsedUrl = new URL(url);
+      // options.trusted (input s3/r2 de perfil) vale só para o host original, não para redirects
+      const trusted = Boolean(options.trusted) && parsedUrl.host === originalHost;
+      try {
+        assertOutboundUrl(url, { trusted }); // a cada redirect também
+      } catch (err) {
+        return reject(err);
+      }
+      const protocol = parsedUrl.protocol === 'https:' ? https : http;
+
+      const headers = {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        ...callerHeaders,
+      };
+      if (prefixBytes !== null) {
+        headers.Range = `bytes=0-${prefixBytes - 1}`; // retry também recomeça do zero
+      } else if (state.bytes > 0) {
+        headers.Range = `bytes=${state.bytes}-`;
+        if (state.validator) headers['If-Range'] = state.validator;
+      } else if (options.validators) {
+        if (options.validators.etag) headers['If-None-Match'] = options.validators.etag;
+        if (options.validators.lastModified) headers['If-Modified-Since'] = options.validators.lastModified;
+      }
+
+      const requestOptions = {
+        hostname: parsedUrl.hostname,
+        port: parsedUrl.port || undefined,
+        path: parsedUrl.pathname + parsedUrl.search,
+        method: 'GET',
+        timeout: timeoutMs,
+        ...outboundRequestOptions({ trusted }),
+        signal: options.signal,
+        headers,
+      };
+
+      const req = protocol.request(requestOptions, (response) => {
+        const status = response.statusCode;
+
+        // Handle redirects (com limite; headers do caller só para a mesma origem)
+        if (status >= 300 && status < 400 && response.headers.location) {
+          response.resume();
+          if (++redirects > MAX_DOWNLOAD_REDIRECTS) {
+            return reject(new Error(`Too many redirects (max ${MAX_DOWNLOAD_REDIRECTS})`));
+          }
+          const next = new URL(response.headers.location, url);
+          return request(next.href, next.origin === parsedUrl.origin ? callerHeaders : {});
+        }
+
+        if (status === 304 && options.validators && state.bytes === 0) {
+          response.resume();
+          return resolve({ notModified: true, ...options.validators });
+        }
+
+        // 206 = retomada aceita; 200 com Range = servidor ignorou (ou o arquivo mudou): recomeça do zero
+        const contentRange = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+        const resuming = state.bytes > 0 && status === 206 && contentRange && Number(contentRange[1]) === state.bytes;
+        const prefix = prefixBytes !== null && status === 206 && contentRange && Number(contentRange[1]) === 0;
+
+        if (status !== 200 && !resuming && !prefix) {
+          response.resume();
+          if (state.bytes > 0 && (status === 206 || status === 416)) {
+            state.bytes = 0;
+            state.validator = null;
+            return reject(retryableError(`Resume rejected (HTTP ${status})`));
+          }
+          return reject(retryableError(`HTTP ${status}`, status >= 500 || status === 408 || status === 429));
+        }
+
+        // Check for HTML response (Google Drive blocking)
+        const contentType = response.headers['content-type'] || '';
+        if (contentType.includes('text/html')) {
+          response.resume();
+          return reject(new Error('Received HTML instead of video - link may be blocked'));
+        }
+
+        if (resuming) {
+          state.totalBytes = contentRange[2] === '*' ? state.totalBytes : Number(contentRange[2]);
+        } else {
+          state.bytes = 0;
+          state.prefixDone = false;
+          state.totalBytes = prefix
+            ? (contentRange[2] === '*' ? null : Number(contentRange[2]))
+            : parseInt(response.headers['content-length'], 10) || null;
+          const etag = response.headers.etag;
+          state.etag = etag || null;
+          state.lastModified = response.headers['last-modified'] || null;
+          state.validator = etag && !etag.startsWith('W/') ? etag : state.lastModified;
+        }
+
+        if (prefixBytes === null && state.totalBytes !== null && state.totalBytes > maxBytes) {
+          response.resume();
+          return reject(tooLarge(state.totalBytes));
+        }
+
+        const result = { notModified: false, etag: state.etag, lastModified: state.lastModified, totalBytes: state.totalBytes };
+
+        response.on('data', (chunk) => {
+          state.bytes += chunk.length;
+          if (prefixBytes !== null) {
+            // Já tem o começo: corta a conexão (o pipeline termina com "premature close")
+            if (state.bytes >= prefixBytes && !state.prefixDone) {
+              state.prefixDone = true;
+              response.destroy();
+            }
+            return;
+          }
+          if (state.bytes > maxBytes) {
+            response.destroy(tooLarge(`${state.bytes}+`));
+            return;
+          }
+          options.onProgress?.({ bytes: state.bytes, totalBytes: state.totalBytes });
+        });
+
+        // STREAMING: Pipe direto para arquivo (não RAM); pipeline propaga conexão caída no meio
+        const fileStream = fsSync.createWriteStream(outputPath, { flags: resuming ? 'a' : 'w' });
+        pipeline(response, fileStream).then(
+          () => {
+            if (prefixBytes === null && state.totalBytes !== null && state.bytes < state.totalBytes) {
+              return reject(retryableError(`Truncated download: got ${state.bytes} of ${state.totalBytes} bytes`));
+            }
+            resolve(result);
+          },
+          (err) => {
+            if (state.prefixDone) return resolve(result);
+            // 413 e erros de disco (err.path) não melhoram com retry
+            if (!err.statusCode && !err.path) err.retryable = true;
+            reject(err);
+          },
+        );
+      });
+
+      req.on('error', (error) => {
+        // Cancelamento e o 413 do limite de tamanho (response.destroy) chegam aqui sem virar retry
+        reject(options.signal?.aborted || error.statusCode ? error : retryableError(`Network error: ${error.message}`));
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        reject(retryableError('Download timeout'));
+      });
+
+      req.end();
+    };
+
+    request(startUrl, options.headers || {});
+  });
+}
+
+// ============================================
+// HELPER: Inputs enviados no request (multipart/form-data)
+// ============================================
+// Além de JSON, os endpoints de processamento aceitam multipart: o campo `payload` traz o
+// mesmo JSON do body e cada arquivo é referenciado nele como "upload:<nome do campo>" onde
+// caberia a URL do input, então URLs e uploads se misturam na ordem em que foram listados:
+//   curl -F 'payload={"videoUrls":["https://…/a.mp4","upload:clip2"],…}' -F clip2=@clip2.mp4
+// Os arquivos vão direto para o disco (/tmp/upload-*) e ficam lá até o job terminar.
+const MAX_UPLOAD_FILES = parseInt(process.env.MAX_UPLOAD_FILES, 10) || 20;
+const UPLOAD_FIELD_PATTERN = /^[\w-]{1,100}$/;
+const UPLOAD_REF_PATTERN = /^upload:([\w-]{1,100})$/;
+
+// Matches de `pattern` em todas as strings do body (em qualquer profundidade)
+function matchStrings(value, pattern, matches = []) {
+  if (typeof value === "string") {
+    const match = pattern.exec(value);
+    if (match) matches.push(match);
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => matchStrings(item, pattern, matches));
+  }
+  return matches;
+}
+
+// Nomes de campo referenciados como "upload:<campo>" no body
+function collectUploadRefs(body) {
+  return new Set(matchStrings(body, UPLOAD_REF_PATTERN).map((match) => match[1]));
+}
+
+function acceptUploads(req, res, next) {
+  if (!req.is("multipart/form-data")) {
+    if (collectUploadRefs(req.body).size > 0) {
+      return res.status(400).json({ error: "upload:<field> inputs require a multipart/form-data request" });
+    }
+    return next();
+  }
+
+  const uploadDir = path.join("/tmp", uniqueName("upload"));
+  req.uploadDir = uploadDir;
+  // Sem job (body inválido, fila cheia...) os arquivos saem junto com a resposta; com job, ver runJob
+  res.on("close", () => {
+    if (!req.uploadsClaimed) fs.rm(uploadDir, { recursive: true, force: true }).catch(() => {});
+  });
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => fs.mkdir(uploadDir, { recursive: true }).then(() => cb(null, uploadDir), cb),
+      // O nome do campo vira o nome do arquivo: só letras, dígitos, _ e -
+      filename: (req, file, cb) =>
+        UPLOAD_FIELD_PATTERN.test(file.fieldname) ? cb(null, file.fieldname) : cb(httpError(400, `Invalid file field name "${file.fieldname}"`)),
+    }),
+    limits: { fileSize: MAX_INPUT_SIZE_BYTES, files: MAX_UPLOAD_FILES, fields: 10, fieldSize: 1024 * 1024 },
+  }).any();
+
+  upload(req, res, (err) => {
+    if (err) {
+      const status = err.statusCode || (err.code === "LIMIT_FILE_SIZE" ? 413 : 400);
+      return res.status(status).json({ error: `Invalid multipart body: ${err.message}` });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(req.body.payload ?? "{}");
+    } catch (parseError) {
+      return res.status(400).json({ error: `payload must be JSON: ${parseError.message}` });
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return res.status(400).json({ error: "payload must be a JSON object" });
+    }
+
+    const uploads = {};
+    for (const file of req.files) {
+      if (uploads[file.fieldname]) {
+        return res.status(400).json({ error: `File field "${file.fieldname}" was sent more than once` });
+      }
+      uploads[file.fieldname] = { path: file.path, size: file.size, filename: file.originalname };
+    }
+
+    const refs = collectUploadRefs(body);
+    const missing = [...refs].filter((field) => !uploads[field]);
+    const unused = Object.keys(uploads).filter((field) => !refs.has(field));
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `Missing file part(s) for: ${missing.map((field) => `upload:${field}`).join(", ")}` });
+    }
+    if (unused.length > 0) {
+      return res.status(400).json({ error: `File part(s) not referenced in payload: ${unused.join(", ")}` });
+    }
+
+    req.body = body;
+    req.uploads = uploads;
+    next();
+  });
+}
+
+// Traz um input para `outputPath` (options.inputs vem de resolveJobInputs):
+// - URL http(s): downloadToFile (via cache de inputs), com as mesmas options
+// - "s3://bucket/key" / "r2://bucket/key": GET assinado com options.inputs.storage, idem
+// - "upload:<campo>": hard link do arquivo recebido no multipart, sem cópia
+// O tamanho final vai para options.inputs.onFetched (quota de bytes da API key).
+async function fetchInput(source, outputPath, timeoutMs, options = {}) {
+  await fetchSource(source, outputPath, timeoutMs, options);
+  const { size } = await fs.stat(outputPath);
+  const kind = STORAGE_REF_PATTERN.exec(source)?.[1] || (UPLOAD_REF_PATTERN.test(source) ? "upload" : "http");
+  incCounter("ffmpeg_server_input_bytes_total", { source: kind }, size);
+  options.inputs?.onFetched?.(size);
+}
+
+async function fetchSource(source, outputPath, timeoutMs, options) {
+  const storageRef = STORAGE_REF_PATTERN.exec(source);
+  if (storageRef) {
+    const [, driver, bucket, key] = storageRef;
+    const storage = options.inputs?.storage;
+    if (storage?.driver !== driver) {
+      throw httpError(400, `${source} needs an inputStorage profile with driver ${driver}`);
+    }
+    const target = s3Target(storage);
+    const signedUrl = await generateS3SignedUrl(target.endpoint, bucket, key, target.accessKeyId, target.secretAccessKey, target.region, "GET");
+    // A URL assinada muda a cada job: a chave do cache é a referência + a conta que lê
+    return cachedDownload(`${source}|${target.endpoint}|${target.accessKeyId}`, signedUrl, outputPath, timeoutMs, { ...options, trusted: storage.trusted });
+  }
+
+  const match = UPLOAD_REF_PATTERN.exec(source);
+  if (!match) {
+    return cachedDownload(source, source, outputPath, timeoutMs, options);
+  }
+
+  const file = options.inputs?.uploads?.[match[1]];
+  if (!file) {
+    throw httpError(400, `${source} was not sent in the multipart body`);
+  }
+  await fs.link(file.path, outputPath).catch(() => fs.copyFile(file.path, outputPath));
+  options.onProgress?.({ bytes: file.size, totalBytes: file.size });
+}
+
+// ============================================
+// CACHE DE INPUTS (compartilhado entre jobs)
+// ============================================
+// Inputs baixados ficam em SOURCE_CACHE_DIR/objects/<sha256>, indexados pela URL (+ headers)
+// e revalidados com ETag/Last-Modified a cada uso (GET condicional → 304 não baixa de novo).
+// URLs diferentes com o mesmo conteúdo compartilham o arquivo. O job recebe um hard link
+// (cópia se não der), então apagar os temporários do job não afeta o cache.
+// Acima de SOURCE_CACHE_MAX_MB os menos usados recentemente saem (LRU); SOURCE_CACHE_MAX_MB=0
+// desliga o cache. O índice é só em memória: o diretório é zerado no boot.
+const SOURCE_CACHE_DIR = process.env.SOURCE_CACHE_DIR || "/tmp/source-cache";
+const SOURCE_CACHE_MAX_BYTES =
+  (process.env.SOURCE_CACHE_MAX_MB === undefined ? 2048 : parseInt(process.env.SOURCE_CACHE_MAX_MB, 10) || 0) * 1024 * 1024;
+const SOURCE_CACHE_TTL_MS = (parseFloat(process.env.SOURCE_CACHE_TTL_HOURS) || 24) * 3600000;
+
+const sourceCache = {
+  urls: new Map(), // chave (URL + headers) → { hash, etag, lastModified }
+  objects: new Map(), // sha256 → { path, size, lastUsedAt, readers }
+  locks: new Map(), // chave → download em andamento (um por vez por chave)
+  totalBytes: 0,
+  stats: { hits: 0, misses: 0, dedupedByHash: 0, uncacheable: 0, evictions: 0, bytesSaved: 0 },
+};
+
+if (SOURCE_CACHE_MAX_BYTES > 0) {
+  for (const dir of ["objects", "tmp"]) {
+    fsSync.rmSync(path.join(SOURCE_CACHE_DIR, dir), { recursive: true, force: true });
+    fsSync.mkdirSync(path.join(SOURCE_CACHE_DIR, dir), { recursive: true });
+  }
+}
+
+// Baixa `url` para outputPath passando pelo cache. `source` identifica o conteúdo
+// (para refs s3:// a URL assinada muda a cada chamada, então não serve de chave).
+async function cachedDownload(source, url, outputPath, timeoutMs, options = {}) {
+  if (SOURCE_CACHE_MAX_BYTES <= 0) {
+    return downloadToFile(url, outputPath, timeoutMs, options);
+  }
+  const key = crypto.createHash("sha256").update(JSON.stringify([source, options.headers || {}])).digest("hex");
+
+  // Jobs pedindo a mesma chave esperam o download em andamento e reaproveitam o resultado
+  while (sourceCache.locks.has(key)) {
+    await sourceCache.locks.get(key).catch(() => {});
+  }
+  const pending = fetchIntoCache(key, url, timeoutMs, options);
+  sourceCache.locks.set(key, pending);
+  let result;
+  try {
+    result = await pending;
+  } finally {
+    sourceCache.locks.delete(key);
+  }
+
+  if (!result.object) {
+    // Fora do cache (sem ETag/Last-Modified ou maior que o limite): o arquivo vai para o job
+    await fs.rename(result.path, outputPath).catch(async () => {
+      await fs.copyFile(result.path, outputPath);
+      await fs.unlink(result.path);
+    });
+    return;
+  }
+
+  const { object } = result;
+  try {
+    await fs.link(object.path, outputPath).catch(() => fs.copyFile(object.path, outputPath));
+  } catch (err) {
+    // Arquivo do cache sumiu do disco: esquece a entrada e baixa direto
+    log.warn("Source cache object unavailable, downloading without cache", { path: object.path, error: err.message });
+    forgetCachedObject(object);
+    return downloadToFile(url, outputPath, timeoutMs, options);
+  } finally {
+    object.readers--;
+  }
+  evictSourceCache();
+}
+
+// Resolve { object } (já reservado: readers++) ou { path } de um arquivo fora do cache
+async function fetchIntoCache(key, url, timeoutMs, options) {
+  const entry = sourceCache.urls.get(key);
+  const cached = entry && sourceCache.objects.get(entry.hash);
+  const tmpPath = path.join(SOURCE_CACHE_DIR, "tmp", crypto.randomUUID());
+
+  let result;
+  if (cached) {
+    claimCachedObject(cached); // não pode ser removido enquanto revalida
+    try {
+      result = await downloadToFile(url, tmpPath, timeoutMs, {
+        ...options,
+        validators: { etag: entry.etag, lastModified: entry.lastModified },
+      });
+    } catch (err) {
+      cached.readers--;
+      throw err;
+    }
+    if (result.notModified) {
+      sourceCache.stats.hits++;
+      sourceCache.stats.bytesSaved += cached.size;
+      options.onProgress?.({ bytes: cached.size, totalBytes: cached.size });
+      return { object: cached };
+    }
+    cached.readers--; // mudou na origem: segue como miss com o arquivo novo
+  } else {
+    result = await downloadToFile(url, tmpPath, timeoutMs, options);
+  }
+  sourceCache.stats.misses++;
+
+  try {
+    const { size } = await fs.stat(tmpPath);
+    if ((!result.etag && !result.lastModified) || size > SOURCE_CACHE_MAX_BYTES) {
+      sourceCache.stats.uncacheable++;
+      sourceCache.urls.delete(key);
+      return { path: tmpPath };
+    }
+
+    const hash = await hashFile(tmpPath);
+    let object = sourceCache.objects.get(hash);
+    if (object) {
+      sourceCache.stats.dedupedByHash++;
+      await fs.unlink(tmpPath);
+    } else {
+      object = { path: path.join(SOURCE_CACHE_DIR, "objects", hash), size, lastUsedAt: 0, readers: 0 };
+      await fs.rename(tmpPath, object.path);
+      sourceCache.objects.set(hash, object);
+      sourceCache.totalBytes += size;
+    }
+    sourceCache.urls.set(key, { hash, etag: result.etag, lastModified: result.lastModified });
+    claimCachedObject(object);
+    return { object };
+  } catch (err) {
+    await fs.unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+}
+
+function claimCachedObject(object) {
+  object.readers++;
+  object.lastUsedAt = Date.now();
+}
+
+function forgetCachedObject(object) {
+  const hash = path.basename(object.path);
+  if (sourceCache.objects.get(hash) !== object) return;
+  sourceCache.objects.delete(hash);
+  sourceCache.totalBytes -= object.size;
+  for (const [key, entry] of sourceCache.urls) {
+    if (entry.hash === hash) sourceCache.urls.delete(key);
+  }
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fsSync.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+// Remove, do menos para o mais recentemente usado, o que passa do limite de tamanho
+// e o que está parado há mais de idleMs. Objetos em uso (readers > 0) ficam.
+function evictSourceCache(idleMs = Infinity) {
+  const now = Date.now();
+  const candidates = [...sourceCache.objects.values()]
+    .filter((object) => object.readers === 0)
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+  let removed = 0;
+  for (const object of candidates) {
+    if (sourceCache.totalBytes <= SOURCE_CACHE_MAX_BYTES && now - object.lastUsedAt <= idleMs) break;
+    forgetCachedObject(object);
+    fs.unlink(object.path).catch(() => {});
+    sourceCache.stats.evictions++;
+    removed++;
+  }
+  return removed;
+}
+
+function sourceCacheStats() {
+  return {
+    enabled: SOURCE_CACHE_MAX_BYTES > 0,
+    entries: sourceCache.urls.size,
+    objects: sourceCache.objects.size,
+    sizeMB: +(sourceCache.totalBytes / 1024 / 1024).toFixed(2),
+    maxMB: SOURCE_CACHE_MAX_BYTES / 1024 / 1024,
+    ...sourceCache.stats,
+  };
+}
+
+// ============================================
+// HELPER: Upload via streaming (URL assinada S3/R2, Supabase Storage...)
+// ============================================
+// Envia o arquivo como corpo de `method` para `targetUrl` (http ou https, com porta).
+// options.headers são somados a Content-Length; options.onProgress({ bytes, totalBytes })
+// é chamado a cada chunk enviado e options.signal (AbortSignal) interrompe o upload.
+// options.start/options.end (inclusivos) enviam só um trecho do arquivo (parte de multipart).
+// Resolve { body, headers, md5 } — md5 (hex) do que foi enviado, para conferir o ETag.
+// Respostas não-2xx rejeitam com error.responseStatus.
+async function uploadFileStream(method, targetUrl, filePath, options = {}) {
+  assertOutboundUrl(targetUrl, { trusted: options.trusted });
+  const start = options.start ?? 0;
+  const end = options.end ?? (await fs.stat(filePath)).size - 1;
+  const totalBytes = end - start + 1;
   
   return new Promise((resolve, reject) => {
-    const url = new URL(signedUrl);
-    const fileStream = fsSync.createReadStream(filePath);
+    const url = new URL(targetUrl);
+    const protocol = url.protocol === 'https:' ? https : http;
+    const fileStream = fsSync.createReadStream(filePath, totalBytes > 0 ? { start, end } : {});
+    const md5 = crypto.createHash('md5');
     
-    const options = {
-      method: 'PUT',
+    const requestOptions = {
+      method,
       hostname: url.hostname,
+      port: url.port || undefined,
       path: url.pathname + url.search,
       headers: {
-        'Content-Type': contentType,
-        'Content-Length': stats.size
+        ...options.headers,
+        'Content-Length': totalBytes
       },
       timeout: 600000, // 10 minutos
-      rejectUnauthorized: false,
-      requestCert: false,
-      agent: false
+      ...outboundRequestOptions({ trusted: options.trusted }),
+      signal: options.signal
     };
     
-    const req = https.request(options, (res) => {
+    const req = protocol.request(requestOptions, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(data);
+          resolve({ body: data, headers: res.headers, md5: md5.digest('hex') });
         } else {
-          reject(new Error(`Upload failed: ${res.statusCode} - ${data}`));
+          const error = new Error(`Upload failed: ${res.statusCode} - ${data}`);
+          error.responseStatus = res.statusCode;
+          reject(error);
         }
       });
     });
@@ -264,6 +1665,13 @@ async function uploadFileStreamToR2(signedUrl, filePath, contentType = 'video/mp
       reject(new Error('Upload timeout'));
     });
     
+    let bytes = 0;
+    fileStream.on('data', (chunk) => {
+      md5.update(chunk);
+      bytes += chunk.length;
+      options.onProgress?.({ bytes, totalBytes });
+    });
+
     fileStream.pipe(req);
     
     fileStream.on('error', (err) => {
@@ -274,7 +1682,200 @@ async function uploadFileStreamToR2(signedUrl, filePath, contentType = 'video/mp
 }
 
 // ============================================
-// AWS Signature V4 Helper Functions for R2
+// HELPER: FFmpeg/FFprobe com progresso
+// ============================================
+const PROBE_TIMEOUT_MS = 30000;
+const PROBE_DOWNLOAD_TIMEOUT_MS = 300000; // /probe baixa o input antes (ver probeJob)
+
+async function probeDuration(filePath) {
+  try {
+    const { stdout } = await execFileAsync(
+      "ffprobe",
+      ["-v", "error", "-show_entries", "format=duration", "-of", "default=noprint_wrappers=1:nokey=1", filePath],
+      { timeout: PROBE_TIMEOUT_MS },
+    );
+    const duration = parseFloat(stdout.trim());
+    return Number.isFinite(duration) ? duration : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || "").split("/").map(Number);
+  const fps = den ? num / den : num;
+  return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 1000) / 1000 : null;
+}
+
+function toNumberOrNull(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// ffprobe em um arquivo local (URLs são baixadas antes: o ffprobe seguiria redirects e resolveria
+// o DNS por conta própria, fora da política de saída). Lança erro se não conseguir ler o input.
+// Retorna { duration, container, size, bitrate, hasAudio, video, audio } (video/audio = 1º stream ou null).
+// `rotation` em graus no sentido horário (0, 90, 180, 270), vinda da tag rotate ou da display matrix.
+async function probeMedia(source) {
+  let stdout;
+  try {
+    // protocol_whitelist: uma playlist (HLS/concat) baixada como "vídeo" não abre URLs/arquivos por conta própria
+    ({ stdout } = await execFileAsync(
+      "ffprobe",
+      ["-v", "error", "-protocol_whitelist", "file", "-show_format", "-show_streams", "-of", "json", source],
+      { timeout: PROBE_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 },
+    ));
+  } catch (err) {
+    // Última linha do stderr, sem o prefixo "<arquivo>: " (não expõe caminhos do /tmp)
+    const reason = (err.stderr || "").trim().split("\n").pop().replace(`${source}: `, "");
+    throw new Error(reason || (err.killed ? `ffprobe timeout after ${PROBE_TIMEOUT_MS / 1000}s` : "ffprobe failed"));
+  }
+
+  const { format = {}, streams = [] } = JSON.parse(stdout);
+  const videoStream = streams.find((s) => s.codec_type === "video" && s.disposition?.attached_pic !== 1);
+  const audioStream = streams.find((s) => s.codec_type === "audio");
+
+  let video = null;
+  if (videoStream) {
+    const displayMatrix = (videoStream.side_data_list || []).find((d) => d.rotation !== undefined);
+    const rotate = videoStream.tags?.rotate !== undefined ? parseInt(videoStream.tags.rotate, 10) : -(displayMatrix?.rotation || 0);
+    video = {
+      codec: videoStream.codec_name || null,
+      width: videoStream.width || null,
+      height: videoStream.height || null,
+      rotation: ((Math.round(rotate / 90) * 90) % 360 + 360) % 360,
+      fps: parseFrameRate(videoStream.avg_frame_rate) ?? parseFrameRate(videoStream.r_frame_rate),
+      pixelFormat: videoStream.pix_fmt || null,
+      bitrate: toNumberOrNull(videoStream.bit_rate),
+    };
+  }
+
+  const audio = audioStream
+    ? {
+        codec: audioStream.codec_name || null,
+        sampleRate: toNumberOrNull(audioStream.sample_rate),
+        channels: audioStream.channels || null,
+        bitrate: toNumberOrNull(audioStream.bit_rate),
+      }
+    : null;
+
+  return {
+    duration: toNumberOrNull(format.duration),
+    container: format.format_name || null,
+    size: toNumberOrNull(format.size),
+    bitrate: toNumberOrNull(format.bit_rate),
+    hasAudio: audio !== null,
+    video,
+    audio,
+  };
+}
+
+// Probe de um input já baixado, antes de gastar tempo no encode. Erros são 422 e
+// identificam o item (`label`, ex: "Video 2") para o cliente saber qual input corrigir.
+async function probeInput(filePath, label, { requireVideo = true, requireAudio = false } = {}) {
+  let info;
+  try {
+    info = await probeMedia(filePath);
+  } catch (err) {
+    throw httpError(422, `${label} is not a readable media file: ${err.message}`);
+  }
+  if (requireVideo && !info.video?.codec) {
+    throw httpError(422, `${label} has no decodable video stream`);
+  }
+  if (requireVideo && !(info.video.width > 0 && info.video.height > 0)) {
+    throw httpError(422, `${label} has an invalid video resolution`);
+  }
+  if (requireAudio && !info.audio?.codec) {
+    throw httpError(422, `${label} has no audio stream`);
+  }
+  return info;
+}
+
+// Executa o ffmpeg com `args` (array, sem shell: nada do request é interpretado como comando).
+// Os args devem incluir `-progress pipe:1 -nostats`; reporta onProgress({ outTimeSeconds, percent, speed })
+// com base em durationSeconds. Roda em process group próprio para que o timeout ou o
+// `signal` (cancelamento do job) matem só a árvore deste ffmpeg.
+function runFfmpeg(args, { timeout = 600000, durationSeconds = null, onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+
+    // Todo input é arquivo local: com a whitelist (por input, antes de cada -i) uma playlist
+    // HLS/concat baixada como "vídeo" não abre outros arquivos nem URLs
+    const inputArgs = args.flatMap((arg) => (arg === "-i" ? ["-protocol_whitelist", "file,pipe", arg] : [arg]));
+    const child = spawn("ffmpeg", inputArgs, { detached: true, stdio: ["ignore", "pipe", "pipe"] });
+    const job = logContext.getStore()?.job;
+    let stderr = "";
+    let pendingStderr = "";
+    let pending = "";
+    let timedOut = false;
+    // Cada linha do stderr vai para o log do job (não para o stdout do servidor)
+    const logStderr = (line) => {
+      if (job && line.trim()) pushJobLog(job, { time: new Date().toISOString(), level: "info", phase: job.status, source: "ffmpeg", msg: line });
+    };
+
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch (err) {}
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, timeout);
+    signal?.addEventListener("abort", killGroup, { once: true });
+
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk).slice(-64 * 1024); // só o final interessa para o erro
+      const lines = (pendingStderr + chunk).split(/\r?\n/);
+      pendingStderr = lines.pop();
+      lines.forEach(logStderr);
+    });
+
+    const state = {};
+    child.stdout.on("data", (chunk) => {
+      const lines = (pending + chunk).split("\n");
+      pending = lines.pop();
+      for (const line of lines) {
+        const [key, value] = line.trim().split("=");
+        state[key] = value;
+        if (key === "progress" && onProgress) {
+          // out_time_ms vem em microssegundos (nome histórico do ffmpeg)
+          const outTimeSeconds = Math.max(0, parseInt(state.out_time_ms, 10) / 1e6) || 0;
+          onProgress({
+            outTimeSeconds: Math.round(outTimeSeconds * 100) / 100,
+            percent: value === "end" ? 100 : percentOf(outTimeSeconds, durationSeconds),
+            speed: state.speed && state.speed !== "N/A" ? state.speed.trim() : null,
+          });
+        }
+      }
+    });
+
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", killGroup);
+      reject(err);
+    });
+
+    child.on("close", (code, exitSignal) => {
+      clearTimeout(timer);
+      logStderr(pendingStderr);
+      signal?.removeEventListener("abort", killGroup);
+      if (code === 0) {
+        return resolve({ stderr });
+      }
+      if (signal?.aborted) {
+        return reject(signal.reason);
+      }
+      const reason = timedOut ? `timeout after ${timeout / 1000}s` : `exit code ${code ?? exitSignal}`;
+      reject(new Error(`ffmpeg failed (${reason}): ${stderr.trim()}`));
+    });
+  });
+}
+
+// ============================================
+// AWS Signature V4 Helper Functions (R2 e demais S3-compatíveis)
 // ============================================
 function sha256(data) {
   return crypto.createHash("sha256").update(data).digest("hex");
@@ -292,27 +1893,45 @@ function getSignatureKey(key, dateStamp, regionName, serviceName) {
   return kSigning;
 }
 
-async function generateR2SignedUrl(endpoint, bucket, key, accessKeyId, secretAccessKey, region, method = "PUT") {
-  const url = new URL(`${endpoint}/${bucket}/${key}`);
-  const date = new Date();
+// SigV4 exige a query canônica ordenada e com encoding RFC 3986 (URLSearchParams usa "+" e "%7E")
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// `query` = parâmetros extras assinados junto (ex: { uploads: "" }, { partNumber, uploadId } no multipart)
+async function generateS3SignedUrl(endpoint, bucket, key, accessKeyId, secretAccessKey, region, method = "PUT", query = {}) {
+  // Chaves de inputs (s3://bucket/key) podem ter espaços, acentos etc.: cada segmento vai codificado
+  const canonicalPath = "/" + [bucket, ...key.split("/")].map(encodeRfc3986).join("/");
+  return presignS3Url(method, endpoint, canonicalPath, { accessKeyId, secretAccessKey, region, query });
+}
+
+// URL pré-assinada (SigV4 na query, só o host assinado, payload UNSIGNED) de `canonicalPath`
+// já codificado. `date` e `expiresSeconds` só mudam nos testes (exemplos de referência da AWS).
+function presignS3Url(method, endpoint, canonicalPath, { accessKeyId, secretAccessKey, region, query = {}, date = new Date(), expiresSeconds = 3600 }) {
+  const url = new URL(`${endpoint}${canonicalPath}`);
   const dateStamp = date.toISOString().slice(0, 10).replace(/-/g, "");
   const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
 
   const credential = `${accessKeyId}/${dateStamp}/${region}/s3/aws4_request`;
-  const params = new URLSearchParams({
+  const params = {
+    ...query,
     "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
     "X-Amz-Credential": credential,
     "X-Amz-Date": amzDate,
-    "X-Amz-Expires": "3600",
+    "X-Amz-Expires": String(expiresSeconds),
     "X-Amz-SignedHeaders": "host",
-  });
+  };
+  const canonicalQuery = Object.keys(params)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+    .join("&");
 
-  url.search = params.toString();
+  url.search = canonicalQuery;
 
   const canonicalRequest = [
     method,
-    `/${bucket}/${key}`,
-    params.toString(),
+    canonicalPath,
+    canonicalQuery,
     `host:${url.host}`,
     "",
     "host",
@@ -326,649 +1945,3055 @@ async function generateR2SignedUrl(endpoint, bucket, key, accessKeyId, secretAcc
     sha256(canonicalRequest),
   ].join("\n");
 
-  const signingKey = getSignatureKey(secretAccessKey, dateStamp, region, "s3");
-  const signature = hmac(signingKey, stringToSign).toString("hex");
+  const signingKey = getSignatureKey(secretAccessKey, dateStamp, region, "s3");
+  const signature = hmac(signingKey, stringToSign).toString("hex");
+
+  url.search = `${canonicalQuery}&X-Amz-Signature=${signature}`;
+
+  return url.toString();
+}
+
+// ============================================
+// STORAGE: upload S3/R2 (PUT único ou multipart, com retry)
+// ============================================
+// Acima de MULTIPART_THRESHOLD_MB o arquivo sobe em partes paralelas: uma falha de rede
+// refaz só a parte (com backoff), não o arquivo inteiro. Upload que falha é abortado no
+// bucket (sem partes órfãs cobrando armazenamento) e o ETag final é conferido contra o MD5.
+const MULTIPART_THRESHOLD_BYTES = (parseInt(process.env.MULTIPART_THRESHOLD_MB, 10) || 100) * 1024 * 1024;
+const MULTIPART_PART_SIZE_BYTES = Math.max(5, parseInt(process.env.MULTIPART_PART_SIZE_MB, 10) || 16) * 1024 * 1024; // S3: mínimo 5 MB
+const MULTIPART_CONCURRENCY = parseInt(process.env.MULTIPART_CONCURRENCY, 10) || 4;
+const UPLOAD_MAX_ATTEMPTS = parseInt(process.env.UPLOAD_MAX_ATTEMPTS, 10) || 4;
+const S3_MAX_PARTS = 10000;
+const S3_REQUEST_TIMEOUT_MS = 60000;
+
+// Erro de rede/timeout, 5xx, 408 e 429 valem nova tentativa; outros 4xx não vão mudar
+function isRetryableUploadError(err) {
+  const status = err.responseStatus;
+  return status === undefined || status >= 500 || status === 408 || status === 429;
+}
+
+async function withUploadRetry(description, signal, fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (signal?.aborted || attempt >= UPLOAD_MAX_ATTEMPTS || !isRetryableUploadError(err)) throw err;
+      const delayMs = 1000 * 2 ** (attempt - 1); // 1s, 2s, 4s...
+      log.warn("Upload request failed, retrying", { request: description, attempt, maxAttempts: UPLOAD_MAX_ATTEMPTS, error: err.message, retryInSeconds: delayMs / 1000 });
+      await new Promise((r) => setTimeout(r, delayMs));
+    }
+  }
+}
+
+function xmlTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1].replace(/&quot;/g, '"') : null;
+}
+
+// Requests pequenos do multipart (create/complete/abort): corpo em string, resposta XML
+async function s3Request(method, signedUrl, { body, headers, signal, trusted } = {}) {
+  const response = await safeFetch(signedUrl, { method, body, headers, signal, trusted, timeout: S3_REQUEST_TIMEOUT_MS });
+  const text = await response.text();
+  // CompleteMultipartUpload pode responder 200 com <Error> no corpo (a AWS pede retry)
+  if (!response.ok || text.includes("<Error>")) {
+    const error = new Error(`S3 ${method} failed: ${response.status} - ${text.slice(0, 500)}`);
+    error.responseStatus = response.ok ? 500 : response.status;
+    throw error;
+  }
+  return text;
+}
+
+// ETag de objeto simples/parte = MD5 do conteúdo. ETags em outro formato (ex: SSE-KMS) não são conferidos.
+function verifyEtag(etag, expectedMd5, description) {
+  const value = (etag || "").replace(/"/g, "");
+  if (/^[0-9a-f]{32}(-\d+)?$/i.test(value) && value.toLowerCase() !== expectedMd5) {
+    throw new Error(`${description}: ETag ${value} does not match MD5 ${expectedMd5}`);
+  }
+}
+
+// target = { endpoint, region, bucket, accessKeyId, secretAccessKey, trusted }
+async function uploadToS3(target, key, filePath, { contentType, signal, onProgress }) {
+  const { size } = await fs.stat(filePath);
+  const { trusted } = target;
+  const sign = (method, query) =>
+    generateS3SignedUrl(target.endpoint, target.bucket, key, target.accessKeyId, target.secretAccessKey, target.region, method, query);
+
+  if (size < MULTIPART_THRESHOLD_BYTES) {
+    await withUploadRetry(`Upload ${key}`, signal, async () => {
+      const { headers, md5 } = await uploadFileStream("PUT", await sign("PUT"), filePath, {
+        headers: { "Content-Type": contentType },
+        signal,
+        trusted,
+        onProgress,
+      });
+      verifyEtag(headers.etag, md5, `Upload ${key}`);
+    });
+    return;
+  }
+
+  const partSize = Math.max(MULTIPART_PART_SIZE_BYTES, Math.ceil(size / S3_MAX_PARTS));
+  const partCount = Math.ceil(size / partSize);
+  log.info("Multipart upload started", { key, parts: partCount, partSizeMB: Math.round(partSize / 1024 / 1024), concurrency: MULTIPART_CONCURRENCY });
+
+  const createXml = await withUploadRetry(`CreateMultipartUpload ${key}`, signal, async () =>
+    s3Request("POST", await sign("POST", { uploads: "" }), { headers: { "Content-Type": contentType }, signal, trusted }));
+  const uploadId = xmlTag(createXml, "UploadId");
+  if (!uploadId) {
+    throw new Error(`CreateMultipartUpload ${key}: response has no UploadId`);
+  }
+
+  // Uma parte que esgota as tentativas (ou o cancelamento do job) para as outras
+  const partsController = new AbortController();
+  const onAbort = () => partsController.abort(signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  const parts = new Array(partCount);
+  const partBytes = new Array(partCount).fill(0);
+  let nextPart = 0;
+
+  const uploadParts = async () => {
+    while (nextPart < partCount && !partsController.signal.aborted) {
+      const index = nextPart++;
+      const partNumber = index + 1;
+      const start = index * partSize;
+      const end = Math.min(start + partSize, size) - 1;
+
+      parts[index] = await withUploadRetry(`Part ${partNumber}/${partCount} of ${key}`, partsController.signal, async () => {
+        partBytes[index] = 0;
+        const { headers, md5 } = await uploadFileStream("PUT", await sign("PUT", { partNumber: String(partNumber), uploadId }), filePath, {
+          start,
+          end,
+          signal: partsController.signal,
+          trusted,
+          onProgress: ({ bytes }) => {
+            partBytes[index] = bytes;
+            onProgress?.({ bytes: partBytes.reduce((sum, n) => sum + n, 0), totalBytes: size });
+          },
+        });
+        verifyEtag(headers.etag, md5, `Part ${partNumber}/${partCount} of ${key}`);
+        return { partNumber, etag: headers.etag, md5 };
+      });
+    }
+  };
+
+  try {
+    const results = await Promise.allSettled(
+      Array.from({ length: Math.min(MULTIPART_CONCURRENCY, partCount) }, () =>
+        uploadParts().catch((err) => {
+          partsController.abort(err);
+          throw err;
+        })),
+    );
+    if (results.some((result) => result.status === "rejected")) {
+      // O motivo do primeiro abort é o erro original (os outros workers só foram interrompidos)
+      throw partsController.signal.reason;
+    }
+
+    const completeXml = await withUploadRetry(`CompleteMultipartUpload ${key}`, signal, async () =>
+      s3Request("POST", await sign("POST", { uploadId }), {
+        body: `<CompleteMultipartUpload>${parts
+          .map(({ partNumber, etag }) => `<Part><PartNumber>${partNumber}</PartNumber><ETag>${etag}</ETag></Part>`)
+          .join("")}</CompleteMultipartUpload>`,
+        headers: { "Content-Type": "application/xml" },
+        signal,
+        trusted,
+      }));
+
+    // ETag multipart = MD5 dos MD5s binários das partes + "-" + número de partes
+    const expectedEtag = crypto.createHash("md5").update(Buffer.concat(parts.map(({ md5 }) => Buffer.from(md5, "hex")))).digest("hex");
+    verifyEtag(xmlTag(completeXml, "ETag"), `${expectedEtag}-${partCount}`, `CompleteMultipartUpload ${key}`);
+  } catch (err) {
+    log.error("Multipart upload failed, aborting", { key, uploadId, error: err.message });
+    // Sem o signal do job: precisa rodar mesmo (principalmente) quando o job foi cancelado
+    await s3Request("DELETE", await sign("DELETE", { uploadId }), { trusted }).catch((abortErr) =>
+      log.error("AbortMultipartUpload failed", { key, uploadId, error: abortErr.message }));
+    throw err;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// ============================================
+// STORAGE: drivers de destino (S3/R2, Supabase Storage, diretório local)
+// ============================================
+// Todo job que grava resultado recebe um `destination`:
+//   { driver, bucket, key, ...credenciais } ou { profile: "nome", key, ... }
+// Perfis nomeados vêm de STORAGE_PROFILES (JSON: { "nome": { driver, bucket, ...credenciais } });
+// com perfil, o request só sobrescreve PROFILE_OVERRIDABLE_FIELDS. O driver local só existe com STORAGE_LOCAL_ROOT.
+const STORAGE_LOCAL_ROOT = process.env.STORAGE_LOCAL_ROOT;
+const DEFAULT_STORAGE_PROFILE = process.env.DEFAULT_STORAGE_PROFILE;
+const STORAGE_PROFILES = (() => {
+  try {
+    return JSON.parse(process.env.STORAGE_PROFILES || "{}");
+  } catch (err) {
+    log.error("STORAGE_PROFILES is not valid JSON - ignoring named storage profiles");
+    return {};
+  }
+})();
+
+// upload(dest, key, filePath, options) → uri do objeto gravado
+const STORAGE_DRIVERS = {
+  s3: {
+    required: ["endpoint", "bucket", "accessKeyId", "secretAccessKey"],
+    async upload(dest, key, filePath, options) {
+      await uploadToS3(s3Target(dest), key, filePath, options);
+      return `s3://${dest.bucket}/${key}`;
+    },
+  },
+  r2: {
+    required: ["accountId", "bucket", "accessKeyId", "secretAccessKey"],
+    async upload(dest, key, filePath, options) {
+      await uploadToS3(s3Target(dest), key, filePath, options);
+      return `r2://${dest.bucket}/${key}`;
+    },
+  },
+  supabase: {
+    required: ["url", "serviceKey", "bucket"],
+    async upload(dest, key, filePath, options) {
+      await uploadFileStream("POST", `${dest.url.replace(/\/+$/, "")}/storage/v1/object/${dest.bucket}/${key}`, filePath, {
+        ...options,
+        trusted: dest.trusted,
+        headers: {
+          Authorization: `Bearer ${dest.serviceKey}`,
+          "Content-Type": options.contentType,
+          "x-upsert": dest.upsert ? "true" : "false",
+        },
+      });
+      return `supabase://${dest.bucket}/${key}`;
+    },
+  },
+  local: {
+    required: [],
+    async upload(dest, key, filePath, options) {
+      const root = path.resolve(STORAGE_LOCAL_ROOT);
+      const target = path.resolve(root, dest.bucket || "", key);
+      if (!target.startsWith(root + path.sep)) {
+        throw httpError(400, "destination.key resolves outside STORAGE_LOCAL_ROOT");
+      }
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(filePath, target);
+      const { size } = await fs.stat(target);
+      options.onProgress?.({ bytes: size, totalBytes: size });
+      return `file://${target}`;
+    },
+  },
+};
+
+// Endpoint e região S3 de um destino s3/r2 já resolvido
+function s3Target(dest) {
+  return dest.driver === "r2"
+    ? { ...dest, endpoint: `https://${dest.accountId}.r2.cloudflarestorage.com`, region: "auto" }
+    : { ...dest, endpoint: dest.endpoint.replace(/\/+$/, ""), region: dest.region || "us-east-1" };
+}
+
+// Com `profile`, o request não pode trocar endpoint/url/conta nem credenciais: senão as
+// credenciais do perfil seriam enviadas (ou assinadas) para um host escolhido pelo cliente.
+const PROFILE_OVERRIDABLE_FIELDS = ["key", "bucket", "upsert"];
+
+// Junta perfil + campos do request e valida as credenciais do driver. Lança erro 400.
+// `field` nomeia o objeto nas mensagens; `optional` dispensa campos obrigatórios (ex: bucket).
+function resolveDestination(destination, { field = "destination", optional = [] } = {}) {
+  const { profile, ...fields } = destination;
+  if (profile !== undefined && !STORAGE_PROFILES[profile]) {
+    throw httpError(400, `${field}.profile "${profile}" is not configured`);
+  }
+  if (profile !== undefined) {
+    if (fields.driver !== undefined && fields.driver !== STORAGE_PROFILES[profile].driver) {
+      throw httpError(400, `${field}.driver does not match the driver of profile "${profile}"`);
+    }
+    const forbidden = Object.keys(fields).filter((name) => name !== "driver" && !PROFILE_OVERRIDABLE_FIELDS.includes(name));
+    if (forbidden.length > 0) {
+      throw httpError(400, `${field}.${forbidden[0]} cannot be combined with profile (only ${PROFILE_OVERRIDABLE_FIELDS.join(", ")} can be overridden)`);
+    }
+  }
+  // trusted: endpoint/credenciais vêm todos do perfil (ver outboundRequestOptions)
+  const merged = { ...(profile !== undefined ? STORAGE_PROFILES[profile] : {}), ...fields, trusted: profile !== undefined };
+  const driver = STORAGE_DRIVERS[merged.driver];
+
+  if (!driver) {
+    throw httpError(400, `${field}.driver must be one of: ${Object.keys(STORAGE_DRIVERS).join(", ")}`);
+  }
+  if (merged.driver === "local" && !STORAGE_LOCAL_ROOT) {
+    throw httpError(400, "Local storage is disabled (STORAGE_LOCAL_ROOT is not set)");
+  }
+  const missing = driver.required.filter((name) => !optional.includes(name) && !merged[name]);
+  if (missing.length > 0) {
+    throw httpError(400, `${field} is missing ${missing.join(", ")} for driver ${merged.driver}`);
+  }
+  return merged;
+}
+
+// `destination` explícito > campos legados do endpoint (ex: r2AccountId) > DEFAULT_STORAGE_PROFILE.
+// null = nenhum destino (o endpoint decide se isso é erro).
+function resolveJobDestination(body, legacyDestination = null) {
+  if (body.destination !== undefined) return resolveDestination(body.destination);
+  if (legacyDestination) return resolveDestination(legacyDestination);
+  if (DEFAULT_STORAGE_PROFILE) return resolveDestination({ profile: DEFAULT_STORAGE_PROFILE });
+  return null;
+}
+
+// Grava `filePath` em `destination` (resolvido) sob `destination.key` ou `defaultKey`.
+// Retorna { driver, bucket, key, uri, publicUrl } — publicUrl só com publicBaseUrl configurado.
+async function storeFile(destination, filePath, { defaultKey, contentType, signal, onProgress }) {
+  const key = destination.key || defaultKey;
+  const uri = await STORAGE_DRIVERS[destination.driver].upload(destination, key, filePath, { contentType, signal, onProgress });
+  incCounter("ffmpeg_server_output_bytes_total", { destination: destination.driver }, (await fs.stat(filePath)).size);
+  return {
+    driver: destination.driver,
+    bucket: destination.bucket || null,
+    key,
+    uri,
+    publicUrl: destination.publicBaseUrl ? `${destination.publicBaseUrl.replace(/\/+$/, "")}/${key}` : null,
+  };
+}
+
+// Inputs "s3://bucket/key" / "r2://bucket/key" (ver fetchInput)
+const STORAGE_REF_PATTERN = /^(s3|r2):\/\/([a-z0-9][a-z0-9.-]{1,62})\/(.+)$/;
+
+// Fontes dos inputs do job: arquivos do multipart e credenciais para s3://… / r2://….
+// As credenciais vêm só de um perfil nomeado em `inputStorage` (nunca do destino do job), e os
+// refs só podem apontar para o `bucket` do perfil ou para os buckets de `inputBuckets` nele:
+// senão qualquer cliente leria qualquer objeto que as chaves do operador alcançam.
+function resolveJobInputs(req) {
+  const { inputStorage } = req.body;
+  if (inputStorage !== undefined && inputStorage.profile === undefined) {
+    throw httpError(400, "inputStorage must name a storage profile (inputStorage.profile)");
+  }
+  const storage = inputStorage !== undefined
+    ? resolveDestination(inputStorage, { field: "inputStorage", optional: ["bucket"] })
+    : null;
+  // Pelo perfil configurado, não pelo bucket do request (que o perfil deixa sobrescrever)
+  const profile = inputStorage !== undefined ? STORAGE_PROFILES[inputStorage.profile] : null;
+  const buckets = profile ? [profile.bucket, ...(profile.inputBuckets || [])].filter(Boolean) : [];
+  for (const [ref, driver, bucket] of matchStrings(req.body, STORAGE_REF_PATTERN)) {
+    if (storage?.driver !== driver) {
+      throw httpError(400, `${ref} needs an inputStorage profile with driver ${driver}`);
+    }
+    if (!buckets.includes(bucket)) {
+      throw httpError(403, `${ref}: bucket ${bucket} is not readable through profile "${inputStorage.profile}"`);
+    }
+  }
+  const onFetched = req.apiKey ? (bytes) => (usageOf(req.apiKey).bytes += bytes) : null;
+  return { uploads: req.uploads, storage, onFetched };
+}
+
+// ============================================
+// HELPER: Enquadramento no canvas de saída (format / fitMode)
+// ============================================
+// Definir dimensões baseado no formato
+const FORMAT_DIMENSIONS = {
+  "9:16": { width: 1080, height: 1920 }, // Vertical
+  "1:1": { width: 1080, height: 1080 }, // Quadrado
+  "16:9": { width: 1920, height: 1080 }, // Horizontal
+};
+const FIT_MODES = ["pad", "crop", "blur"];
+const COLOR_PATTERN = /^([a-zA-Z]+|(#|0x)[0-9a-fA-F]{6}([0-9a-fA-F]{2})?)$/;
+
+// Retorna { width, height, fitMode, padColor } ou lança erro 400
+function resolveCanvas({ format, width, height, fitMode = "pad", padColor = "black" }) {
+  let canvas = FORMAT_DIMENSIONS[format] || FORMAT_DIMENSIONS["9:16"];
+
+  if (width !== undefined || height !== undefined) {
+    const valid = [width, height].every((v) => Number.isInteger(v) && v >= 16 && v <= 4096 && v % 2 === 0);
+    if (!valid) {
+      throw httpError(400, "width and height must both be even integers between 16 and 4096");
+    }
+    canvas = { width, height };
+  }
+
+  if (!FIT_MODES.includes(fitMode)) {
+    throw httpError(400, `fitMode must be one of: ${FIT_MODES.join(", ")}`);
+  }
+
+  if (typeof padColor !== "string" || !COLOR_PATTERN.test(padColor)) {
+    throw httpError(400, "padColor must be a color name or hex (#RRGGBB / #RRGGBBAA)");
+  }
+
+  return { ...canvas, fitMode, padColor: padColor.replace(/^#/, "0x") };
+}
+
+// Segmento de filtergraph que leva o vídeo de `input` ao canvas em `output`
+// - pad: letterbox com padColor
+// - crop: preenche o canvas cortando o centro
+// - blur: cópia ampliada e desfocada do próprio clipe como fundo
+function buildFrameFilter(input, output, { width, height, fitMode, padColor }) {
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+  const fill = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+
+  if (fitMode === "crop") {
+    return `${input}${fill},setsar=1${output}`;
+  }
+  if (fitMode === "blur") {
+    const id = output.replace(/\W/g, "");
+    return [
+      `${input}split=2[${id}bg][${id}fg]`,
+      `[${id}bg]${fill},boxblur=20:5[${id}bgb]`,
+      `[${id}fg]${fit}[${id}fgs]`,
+      `[${id}bgb][${id}fgs]overlay=(W-w)/2:(H-h)/2,setsar=1${output}`,
+    ].join(";");
+  }
+  return `${input}${fit},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${padColor},setsar=1${output}`;
+}
+
+// ============================================
+// HELPER: Filtergraph do /concatenate (normalização + transições)
+// ============================================
+// Nomes do filtro xfade do ffmpeg (>= 4.3)
+const XFADE_TRANSITIONS = [
+  "fade", "fadeblack", "fadewhite", "fadegrays", "dissolve", "distance", "pixelize", "radial",
+  "wipeleft", "wiperight", "wipeup", "wipedown",
+  "slideleft", "slideright", "slideup", "slidedown",
+  "smoothleft", "smoothright", "smoothup", "smoothdown",
+  "circlecrop", "rectcrop", "circleopen", "circleclose",
+  "horzopen", "horzclose", "vertopen", "vertclose",
+  "diagtl", "diagtr", "diagbl", "diagbr",
+  "hlslice", "hrslice", "vuslice", "vdslice",
+];
+const DEFAULT_TRANSITION_DURATION = 0.5;
+
+// `transitions` pode ser um objeto global { type, duration } (vale para todas as junções)
+// ou um array com uma entrada por junção (null = corte seco).
+// Retorna array de tamanho clipCount - 1 com { type, duration } | null, ou lança erro 400.
+function resolveTransitions(transitions, clipCount) {
+  const joins = clipCount - 1;
+  if (transitions === undefined || transitions === null) {
+    return new Array(joins).fill(null);
+  }
+
+  let list;
+  if (Array.isArray(transitions)) {
+    if (transitions.length !== joins) {
+      throw httpError(400, `transitions must have ${joins} entries (one per join between clips)`);
+    }
+    list = transitions;
+  } else if (typeof transitions === "object") {
+    list = new Array(joins).fill(transitions);
+  } else {
+    throw httpError(400, "transitions must be an object or an array");
+  }
+
+  return list.map((transition, i) => {
+    if (transition === null || transition.type === "none") {
+      return null;
+    }
+    if (typeof transition !== "object") {
+      throw httpError(400, `transitions[${i}] must be an object or null`);
+    }
+    const { type, duration = DEFAULT_TRANSITION_DURATION } = transition;
+    if (!XFADE_TRANSITIONS.includes(type)) {
+      throw httpError(400, `transitions[${i}].type must be one of: none, ${XFADE_TRANSITIONS.join(", ")}`);
+    }
+    if (typeof duration !== "number" || duration < 0.1 || duration > 5) {
+      throw httpError(400, `transitions[${i}].duration must be a number between 0.1 and 5 seconds`);
+    }
+    return { type, duration };
+  });
+}
+
+// Cada clipe sobrepõe a transição de entrada e a de saída: a soma das duas precisa caber nele,
+// senão o xfade seguinte começaria antes do anterior. durations[i] null = desconhecida (sem checar).
+function assertTransitionsFit(durations, transitions) {
+  durations.forEach((duration, i) => {
+    const joins = [i - 1, i].filter((join) => transitions[join]);
+    const overlap = joins.reduce((sum, join) => sum + transitions[join].duration, 0);
+    if (duration === null || joins.length === 0 || overlap < duration) return;
+    const names = joins.map((join) => `transitions[${join}] (${transitions[join].duration}s, clips ${join + 1}→${join + 2})`);
+    throw httpError(400, `Clip ${i + 1} (${Number(duration.toFixed(3))}s) is too short for ${names.join(" + ")}`);
+  });
+}
+
+// Itens de `videoUrls`: string (URL) ou { url, start, end, speed, volume, muted }.
+// Retorna a lista normalizada ou lança erro 400 indicando o item inválido.
+function resolveClips(videoUrls, fieldName = "videoUrls") {
+  return videoUrls.map((item, i) => {
+    const clip = typeof item === "string" ? { url: item } : item;
+    const field = (name) => `${fieldName}[${i}].${name}`;
+
+    if (!clip || typeof clip !== "object" || typeof clip.url !== "string") {
+      throw httpError(400, `${fieldName}[${i}] must be a URL string or an object with url`);
+    }
+
+    const { url, headers, start = 0, end, speed = 1, volume = 1, muted = false } = clip;
+    if (typeof start !== "number" || start < 0) {
+      throw httpError(400, `${field("start")} must be a number >= 0 (seconds)`);
+    }
+    if (end !== undefined && (typeof end !== "number" || end <= start)) {
+      throw httpError(400, `${field("end")} must be a number greater than start (seconds)`);
+    }
+    if (typeof speed !== "number" || speed < 0.25 || speed > 4) {
+      throw httpError(400, `${field("speed")} must be a number between 0.25 and 4`);
+    }
+    if (typeof volume !== "number" || volume < 0 || volume > 4) {
+      throw httpError(400, `${field("volume")} must be a number between 0 and 4`);
+    }
+    if (typeof muted !== "boolean") {
+      throw httpError(400, `${field("muted")} must be a boolean`);
+    }
+
+    return { url, headers, start, end, speed, volume, muted };
+  });
+}
+
+// Duração do clipe no vídeo final (após trim e speed), a partir da duração do arquivo
+function clipOutputDuration(clip, sourceDuration) {
+  const end = Math.min(clip.end ?? Infinity, sourceDuration ?? Infinity);
+  return Number.isFinite(end) ? (end - clip.start) / clip.speed : null;
+}
+
+// Opções de input do ffmpeg para o trim: seek no input é rápido e zera os timestamps
+function clipInputArgs(clip) {
+  const args = [];
+  if (clip.start > 0) args.push("-ss", String(clip.start));
+  if (clip.end !== undefined) args.push("-t", String(clip.end - clip.start));
+  return args;
+}
+
+// atempo só aceita 0.5–2.0 por instância: encadear para cobrir 0.25–4
+function buildAtempo(speed) {
+  const steps = [];
+  let remaining = speed;
+  while (remaining > 2) {
+    steps.push(2);
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    steps.push(0.5);
+    remaining /= 0.5;
+  }
+  steps.push(remaining);
+  return steps.map((s) => `atempo=${s}`).join(",");
+}
+
+// Monta o filtergraph: cada clipe tem speed/volume aplicados, é enquadrado no canvas e
+// normalizado (fps, pix_fmt, áudio 48k estéreo com a mesma duração do clipe) e os clipes
+// são unidos em cadeia. O trim é feito nas opções de input (clipInputArgs).
+// Junção com transição = xfade no vídeo + acrossfade de mesma duração no áudio,
+// para manter o A/V sync; junção sem transição = concat.
+// `clips[i].duration` é a duração já com trim/speed (clipOutputDuration).
+// Retorna { graph, duration, video, audio }: duração final já descontando as sobreposições
+// e os labels de saída para o -map.
+function buildConcatFilterGraph(clips, canvas, transitions, { backgroundAudio = null, overlays = null, subtitlesFile = null } = {}) {
+  const durations = clips.map((clip) => clip.duration);
+  const filters = clips.map((clip, i) => {
+    const { duration, speed, volume, muted } = clip;
+    const videoSpeed = speed !== 1 ? `setpts=(PTS-STARTPTS)/${speed},` : "";
+    const audioSpeed = speed !== 1 ? `,${buildAtempo(speed)}` : "";
+    const audioVolume = muted ? ",volume=0" : volume !== 1 ? `,volume=${volume}` : "";
+    // trim/apad+atrim: vídeo e áudio com exatamente a duração do clipe, para não acumular drift entre junções
+    const videoLength = duration !== null ? `,trim=0:${duration}` : "";
+    const audioLength = duration !== null ? `,apad,atrim=0:${duration}` : "";
+    // Clipe sem áudio: trilha silenciosa com a duração do clipe, senão o concat não tem o que juntar
+    const audioFilter = clip.hasAudio === false
+      ? `anullsrc=r=48000:cl=stereo,aformat=sample_fmts=fltp:channel_layouts=stereo,atrim=0:${duration}[a${i}]`
+      : `[${i}:a]aresample=48000:async=1:first_pts=0,aformat=sample_fmts=fltp:channel_layouts=stereo${audioSpeed}${audioVolume}${audioLength}[a${i}]`;
+    return [
+      buildFrameFilter(`[${i}:v]${videoSpeed}`, `[f${i}]`, canvas),
+      `[f${i}]fps=30,format=yuv420p${videoLength}[v${i}]`,
+      audioFilter,
+    ].join(";");
+  });
+
+  let video = "[v0]";
+  let audio = "[a0]";
+  let total = durations[0];
+  assertTransitionsFit(durations, transitions);
+
+  if (!transitions.some(Boolean)) {
+    const concatInputs = durations.map((d, i) => `[v${i}][a${i}]`).join("");
+    filters.push(`${concatInputs}concat=n=${durations.length}:v=1:a=1[vcat][acat]`);
+    video = "[vcat]";
+    audio = "[acat]";
+    total = durations.includes(null) ? null : durations.reduce((a, b) => a + b, 0);
+  }
+
+  for (let i = 1; i < durations.length && transitions.some(Boolean); i++) {
+    const transition = transitions[i - 1];
+    const videoOut = `[vx${i}]`;
+    const audioOut = `[ax${i}]`;
+
+    if (!transition) {
+      filters.push(`${video}[v${i}]concat=n=2:v=1:a=0${videoOut}`);
+      filters.push(`${audio}[a${i}]concat=n=2:v=0:a=1${audioOut}`);
+      total += durations[i];
+    } else {
+      const { type, duration } = transition;
+      const offset = (total - duration).toFixed(3);
+      filters.push(`${video}[v${i}]xfade=transition=${type}:duration=${duration}:offset=${offset}${videoOut}`);
+      filters.push(`${audio}[a${i}]acrossfade=d=${duration}${audioOut}`);
+      total += durations[i] - duration;
+    }
+
+    video = videoOut;
+    audio = audioOut;
+  }
+
+  if (backgroundAudio) {
+    filters.push(buildBackgroundAudioFilter(audio, "[amusic]", clips.length, backgroundAudio, total));
+    audio = "[amusic]";
+  }
+
+  // Overlays antes das legendas: a legenda fica por cima da marca d'água
+  if (overlays) {
+    const overlayGraph = buildOverlayFilters(video, overlays, canvas);
+    filters.push(...overlayGraph.filters);
+    video = overlayGraph.video;
+  }
+
+  if (subtitlesFile) {
+    filters.push(`${video}${buildSubtitlesFilter(subtitlesFile)}[vsub]`);
+    video = "[vsub]";
+  }
+
+  return { graph: filters.join(";\n"), duration: total, video, audio };
+}
+
+// ============================================
+// HELPER: Trilha de fundo (backgroundAudio) com ducking
+// ============================================
+// { url, volume, fadeIn, fadeOut, loop, startOffset, duck } → objeto normalizado, ou erro 400.
+// `duck` pode ser true (valores padrão) ou { threshold, ratio, attack, release }.
+function resolveBackgroundAudio(backgroundAudio) {
+  if (backgroundAudio === undefined || backgroundAudio === null) {
+    return null;
+  }
+  if (typeof backgroundAudio !== "object" || typeof backgroundAudio.url !== "string") {
+    throw httpError(400, "backgroundAudio must be an object with url");
+  }
+
+  const { url, headers, volume = 0.3, fadeIn = 0, fadeOut = 0, loop = true, startOffset = 0, duck = false } = backgroundAudio;
+  const inRange = (value, min, max) => typeof value === "number" && value >= min && value <= max;
+
+  if (!inRange(volume, 0, 2)) throw httpError(400, "backgroundAudio.volume must be a number between 0 and 2");
+  if (!inRange(fadeIn, 0, 30)) throw httpError(400, "backgroundAudio.fadeIn must be between 0 and 30 seconds");
+  if (!inRange(fadeOut, 0, 30)) throw httpError(400, "backgroundAudio.fadeOut must be between 0 and 30 seconds");
+  if (!inRange(startOffset, 0, 86400)) throw httpError(400, "backgroundAudio.startOffset must be a number >= 0 (seconds)");
+  if (typeof loop !== "boolean") throw httpError(400, "backgroundAudio.loop must be a boolean");
+
+  let ducking = null;
+  if (duck === true || (duck && typeof duck === "object")) {
+    const { threshold = 0.05, ratio = 8, attack = 20, release = 400 } = duck === true ? {} : duck;
+    if (!inRange(threshold, 0.001, 1)) throw httpError(400, "backgroundAudio.duck.threshold must be between 0.001 and 1");
+    if (!inRange(ratio, 1, 20)) throw httpError(400, "backgroundAudio.duck.ratio must be between 1 and 20");
+    if (!inRange(attack, 0.01, 2000)) throw httpError(400, "backgroundAudio.duck.attack must be between 0.01 and 2000 ms");
+    if (!inRange(release, 0.01, 9000)) throw httpError(400, "backgroundAudio.duck.release must be between 0.01 and 9000 ms");
+    ducking = { threshold, ratio, attack, release };
+  } else if (duck !== false) {
+    throw httpError(400, "backgroundAudio.duck must be a boolean or an object");
+  }
+
+  return { url, headers, volume, fadeIn, fadeOut, loop, startOffset, duck: ducking };
+}
+
+// Opções de input da trilha: offset inicial e loop infinito (cortado no filtergraph)
+function backgroundAudioInputArgs(music) {
+  const args = [];
+  if (music.loop) args.push("-stream_loop", "-1");
+  if (music.startOffset > 0) args.push("-ss", String(music.startOffset));
+  return args;
+}
+
+// Mixa a trilha (input `musicIndex`) sob o áudio dos clipes em `input`.
+// Com duck, um sidechaincompress usa o áudio dos clipes como chave para abaixar a música
+// enquanto há fala. amerge+pan soma os sinais sem a normalização do amix (que abaixaria
+// o áudio original pela metade); a música recebe apad para nunca encerrar a mixagem antes.
+// O amerge não negocia formato sozinho (atempo/sidechaincompress deixam as opções em aberto):
+// os dois lados recebem aformat fixo logo antes dele.
+function buildBackgroundAudioFilter(input, output, musicIndex, music, totalDuration) {
+  const chain = ["aresample=48000", "aformat=sample_fmts=fltp:channel_layouts=stereo", `volume=${music.volume}`];
+  if (totalDuration !== null) {
+    chain.push(`atrim=0:${totalDuration}`);
+  }
+  if (music.fadeIn > 0) {
+    chain.push(`afade=t=in:st=0:d=${music.fadeIn}`);
+  }
+  if (music.fadeOut > 0 && totalDuration !== null) {
+    chain.push(`afade=t=out:st=${Math.max(0, totalDuration - music.fadeOut).toFixed(3)}:d=${music.fadeOut}`);
+  }
+  chain.push("apad");
+
+  const filters = [`[${musicIndex}:a]${chain.join(",")}[bgm]`];
+  let voice = input;
+  let bed = "[bgm]";
+
+  if (music.duck) {
+    const { threshold, ratio, attack, release } = music.duck;
+    filters.push(`${input}asplit=2[voice][duckkey]`);
+    filters.push(`[bgm][duckkey]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[bgmducked]`);
+    voice = "[voice]";
+    bed = "[bgmducked]";
+  }
+
+  filters.push(`${voice}aformat=sample_fmts=fltp:channel_layouts=stereo[voicefmt]`);
+  filters.push(`${bed}aformat=sample_fmts=fltp:channel_layouts=stereo[bedfmt]`);
+  filters.push(`[voicefmt][bedfmt]amerge=inputs=2,pan=stereo|c0=c0+c2|c1=c1+c3${output}`);
+  return filters.join(";\n");
+}
+
+// ============================================
+// HELPER: Legendas queimadas (SRT / WebVTT / ASS / captions inline)
+// ============================================
+// SRT, WebVTT e captions inline viram um .ass gerado aqui, com PlayRes igual ao canvas
+// de saída: fontSize e margens ficam em pixels do vídeo final. Arquivos .ass do cliente
+// são usados como vieram (o estilo é o do próprio arquivo; só as fontes são checadas).
+const SUBTITLE_FONTS_DIR = process.env.SUBTITLE_FONTS_DIR;
+const SUBTITLE_FORMATS = ["srt", "vtt", "ass"];
+const SUBTITLE_POSITIONS = { bottom: 2, middle: 5, top: 8 }; // Alignment do ASS (numpad)
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$/;
+
+// { url } ou { captions: [{ start, end, text }] }, mais `format` e `style` opcionais.
+// Retorna o objeto normalizado ou lança erro 400.
+function resolveSubtitles(subtitles) {
+  if (subtitles === undefined || subtitles === null) {
+    return null;
+  }
+  if (typeof subtitles !== "object") {
+    throw httpError(400, "subtitles must be an object with url or captions");
+  }
+
+  const { url, headers, captions, format, style = {} } = subtitles;
+  if ((url === undefined) === (captions === undefined)) {
+    throw httpError(400, "subtitles must have either url or captions");
+  }
+  if (url !== undefined && typeof url !== "string") {
+    throw httpError(400, "subtitles.url must be a string");
+  }
+  if (format !== undefined && !SUBTITLE_FORMATS.includes(format)) {
+    throw httpError(400, `subtitles.format must be one of: ${SUBTITLE_FORMATS.join(", ")}`);
+  }
+  if (captions !== undefined) {
+    if (!Array.isArray(captions) || captions.length === 0 || captions.length > 5000) {
+      throw httpError(400, "subtitles.captions must be a non-empty array (max 5000 items)");
+    }
+    captions.forEach((caption, i) => {
+      const valid = caption && typeof caption.start === "number" && caption.start >= 0 &&
+        typeof caption.end === "number" && caption.end > caption.start &&
+        typeof caption.text === "string" && caption.text.length <= 1000;
+      if (!valid) {
+        throw httpError(400, `subtitles.captions[${i}] must be { start, end, text } with end > start >= 0`);
+      }
+    });
+  }
+
+  return { url, headers, captions, format, style: resolveSubtitleStyle(style) };
+}
+
+function resolveSubtitleStyle(style) {
+  if (typeof style !== "object" || style === null) {
+    throw httpError(400, "subtitles.style must be an object");
+  }
+  const {
+    font = "DejaVu Sans",
+    fontSize,
+    primaryColor = "#FFFFFF",
+    outlineColor = "#000000",
+    backColor,
+    outline = 3,
+    shadow = 0,
+    bold = true,
+    position = "bottom",
+    marginV,
+    marginH,
+  } = style;
+  const inRange = (value, min, max) => typeof value === "number" && value >= min && value <= max;
+  const field = (name) => `subtitles.style.${name}`;
+
+  if (typeof font !== "string" || !/^[\w .-]{1,64}$/.test(font)) throw httpError(400, `${field("font")} must be a font family name`);
+  if (fontSize !== undefined && !inRange(fontSize, 8, 300)) throw httpError(400, `${field("fontSize")} must be between 8 and 300 (px)`);
+  for (const [name, value] of Object.entries({ primaryColor, outlineColor, backColor })) {
+    if (value !== undefined && (typeof value !== "string" || !HEX_COLOR_PATTERN.test(value))) {
+      throw httpError(400, `${field(name)} must be #RRGGBB or #RRGGBBAA`);
+    }
+  }
+  if (!inRange(outline, 0, 20)) throw httpError(400, `${field("outline")} must be between 0 and 20`);
+  if (!inRange(shadow, 0, 20)) throw httpError(400, `${field("shadow")} must be between 0 and 20`);
+  if (typeof bold !== "boolean") throw httpError(400, `${field("bold")} must be a boolean`);
+  if (!(position in SUBTITLE_POSITIONS)) throw httpError(400, `${field("position")} must be one of: ${Object.keys(SUBTITLE_POSITIONS).join(", ")}`);
+  if (marginV !== undefined && !inRange(marginV, 0, 4000)) throw httpError(400, `${field("marginV")} must be between 0 and 4000 (px)`);
+  if (marginH !== undefined && !inRange(marginH, 0, 4000)) throw httpError(400, `${field("marginH")} must be between 0 and 4000 (px)`);
+
+  return { font, fontSize, primaryColor, outlineColor, backColor, outline, shadow, bold, position, marginV, marginH };
+}
+
+// Margens seguras padrão: no 9:16 a interface das redes cobre a parte de baixo da tela
+function defaultSubtitleLayout({ width, height }) {
+  const ratio = width / height;
+  const [vertical, horizontal] = ratio < 0.8 ? [0.15, 0.08] : ratio < 1.3 ? [0.1, 0.06] : [0.08, 0.05];
+  return {
+    fontSize: Math.round(Math.min(width, height) * 0.055),
+    marginV: Math.round(height * vertical),
+    marginH: Math.round(width * horizontal),
+  };
+}
+
+// #RRGGBB[AA] → &HAABBGGRR (no ASS o alpha é invertido: 00 = opaco)
+function toAssColor(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => hex.slice(i, i + 2));
+  const alpha = hex.length === 9 ? (255 - parseInt(hex.slice(7, 9), 16)).toString(16).padStart(2, "0") : "00";
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+}
+
+function toAssTime(seconds) {
+  const cs = Math.round(seconds * 100);
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor((cs % 360000) / 6000);
+  const sec = Math.floor((cs % 6000) / 100);
+  return `${h}:${String(m).padStart(2, "0")}:${String(sec).padStart(2, "0")}.${String(cs % 100).padStart(2, "0")}`;
+}
+
+// "01:02:03,450" (SRT) / "02:03.450" (WebVTT) → segundos
+function parseCueTime(value) {
+  const parts = value.trim().replace(",", ".").split(":").map(parseFloat);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// SRT e WebVTT têm a mesma estrutura de blocos "início --> fim" + texto
+function parseSubtitleCues(content) {
+  const cues = [];
+  for (const block of content.replace(/\r/g, "").split(/\n{2,}/)) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1) continue;
+
+    const [start, end] = lines[timingIndex].split("-->").map((part) => parseCueTime(part.trim().split(/\s+/)[0]));
+    const text = lines.slice(timingIndex + 1).join("\n").replace(/<[^>]+>/g, "").trim();
+    if (Number.isFinite(start) && Number.isFinite(end) && end > start && text) {
+      cues.push({ start, end, text });
+    }
+  }
+  return cues;
+}
+
+function buildAssDocument(cues, style, canvas) {
+  const layout = defaultSubtitleLayout(canvas);
+  const fontSize = style.fontSize ?? layout.fontSize;
+  const marginV = style.marginV ?? layout.marginV;
+  const marginH = style.marginH ?? layout.marginH;
+  const borderStyle = style.backColor ? 3 : 1; // 3 = caixa opaca atrás do texto
+  const backColor = toAssColor(style.backColor || "#00000080");
+
+  // Chaves abririam override tags do ASS
+  const escapeText = (text) => text.replace(/[{}]/g, (c) => (c === "{" ? "(" : ")")).replace(/\n/g, "\\N");
+
+  return [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${canvas.width}`,
+    `PlayResY: ${canvas.height}`,
+    "WrapStyle: 0",
+    "ScaledBorderAndShadow: yes",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    `Style: Default,${style.font},${fontSize},${toAssColor(style.primaryColor)},&H000000FF,${toAssColor(style.outlineColor)},${backColor},${style.bold ? -1 : 0},0,0,0,100,100,0,0,${borderStyle},${style.outline},${style.shadow},${SUBTITLE_POSITIONS[style.position]},${marginH},${marginH},${marginV},1`,
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+    ...cues.map((cue) => `Dialogue: 0,${toAssTime(cue.start)},${toAssTime(cue.end)},Default,,0,0,0,,${escapeText(cue.text)}`),
+    "",
+  ].join("\n");
+}
+
+let fontFamiliesCache = null;
+
+// Famílias instaladas (fontconfig) + as de SUBTITLE_FONTS_DIR, em minúsculas
+async function listFontFamilies() {
+  if (fontFamiliesCache) {
+    return fontFamiliesCache;
+  }
+
+  const outputs = [];
+  try {
+    outputs.push((await execFileAsync("fc-list", [":", "family"])).stdout);
+    if (SUBTITLE_FONTS_DIR) {
+      outputs.push((await execFileAsync("fc-scan", ["--format", "%{family}\\n", SUBTITLE_FONTS_DIR])).stdout);
+    }
+  } catch (err) {
+    throw new Error("Cannot check subtitle fonts: fontconfig (fc-list) is not installed");
+  }
+
+  const families = new Set();
+  for (const line of outputs.join("\n").split("\n")) {
+    line.split(",").map((family) => family.trim().toLowerCase()).filter(Boolean).forEach((family) => families.add(family));
+  }
+  fontFamiliesCache = families;
+  return families;
+}
+
+async function ensureFontAvailable(font) {
+  const families = await listFontFamilies();
+  if (!families.has(font.toLowerCase())) {
+    throw httpError(400, `Subtitle font "${font}" is not installed on the server`);
+  }
+}
+
+// Fontes das linhas "Style:" de um .ass/.ssa: campo Fontname, na posição que a linha Format:
+// da seção de estilos indica ("@" = variante vertical da mesma fonte). Overrides \fn no texto
+// dos eventos não são lidos.
+function assStyleFonts(content) {
+  const fonts = new Set();
+  let fields = null;
+  for (const line of content.split(/\r?\n/).map((l) => l.trim())) {
+    if (line.startsWith("[")) {
+      fields = null;
+      continue;
+    }
+    const match = /^(Format|Style)\s*:(.*)$/i.exec(line);
+    if (!match) continue;
+    const values = match[2].split(",").map((value) => value.trim());
+    if (match[1].toLowerCase() === "format") {
+      fields = values.map((value) => value.toLowerCase());
+    } else {
+      const font = values[fields ? fields.indexOf("fontname") : 1]?.replace(/^@/, "");
+      if (font) fonts.add(font);
+    }
+  }
+  return [...fonts];
+}
+
+// Baixa/gera o arquivo de legenda em tempDir e retorna o caminho
+async function prepareSubtitles(subtitles, canvas, tempDir, { signal, inputs } = {}) {
+  let format = subtitles.format;
+  let cues = subtitles.captions;
+
+  if (subtitles.url) {
+    const downloadPath = path.join(tempDir, "subtitles-source");
+    try {
+      await fetchInput(subtitles.url, downloadPath, 60000, { signal, inputs, headers: subtitles.headers });
+    } catch (err) {
+      throw downloadFailure("Failed to download subtitles", err);
+    }
+    const content = (await fs.readFile(downloadPath, "utf8")).replace(/^\uFEFF/, "");
+    const extension = path.extname(new URL(subtitles.url).pathname).slice(1).toLowerCase().replace("ssa", "ass");
+    format = format || (SUBTITLE_FORMATS.includes(extension) ? extension : null) ||
+      (content.startsWith("WEBVTT") ? "vtt" : content.includes("[Script Info]") ? "ass" : "srt");
+
+    if (format === "ass") {
+      for (const font of assStyleFonts(content)) {
+        await ensureFontAvailable(font);
+      }
+      const assPath = path.join(tempDir, "subtitles.ass");
+      await fs.rename(downloadPath, assPath);
+      return assPath;
+    }
+
+    cues = parseSubtitleCues(content);
+    if (cues.length === 0) {
+      throw httpError(400, `Subtitle file has no valid ${format.toUpperCase()} cues`);
+    }
+  }
+
+  await ensureFontAvailable(subtitles.style.font);
+
+  const assPath = path.join(tempDir, "subtitles.ass");
+  await fs.writeFile(assPath, buildAssDocument(cues, subtitles.style, canvas));
+  return assPath;
+}
+
+// Caminho gerado por nós (tempDir), só precisa das aspas do filtergraph
+function buildSubtitlesFilter(assPath) {
+  const fontsDir = SUBTITLE_FONTS_DIR ? `:fontsdir='${SUBTITLE_FONTS_DIR}'` : "";
+  return `subtitles=filename='${assPath}'${fontsDir}`;
+}
+
+// ============================================
+// HELPER: Overlays (logo / marca d'água / texto)
+// ============================================
+// Cada overlay é uma imagem ({ url }, PNG com alpha) ou um texto ({ text }), com
+// position (preset de canto/centro ou { x, y } em px), scale relativo à largura do
+// canvas (imagens), opacity e janela de tempo opcional start/end (segundos).
+const OVERLAY_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right", "center"];
+const MAX_OVERLAYS = 20;
+
+function resolveOverlays(overlays) {
+  if (overlays === undefined || overlays === null) {
+    return null;
+  }
+  if (!Array.isArray(overlays) || overlays.length === 0 || overlays.length > MAX_OVERLAYS) {
+    throw httpError(400, `overlays must be a non-empty array (max ${MAX_OVERLAYS} items)`);
+  }
+
+  return overlays.map((overlay, i) => {
+    const field = (name) => `overlays[${i}].${name}`;
+    const inRange = (value, min, max) => typeof value === "number" && value >= min && value <= max;
+
+    if (!overlay || typeof overlay !== "object" || (typeof overlay.url === "string") === (typeof overlay.text === "string")) {
+      throw httpError(400, `overlays[${i}] must have either url (image) or text`);
+    }
+
+    const {
+      url,
+      headers,
+      text,
+      position = "bottom-right",
+      scale = 0.15,
+      opacity = 1,
+      start,
+      end,
+      font = "DejaVu Sans",
+      fontSize = 48,
+      color = "#FFFFFF",
+      boxColor,
+    } = overlay;
+
+    const isPreset = OVERLAY_POSITIONS.includes(position);
+    const isPoint = position && typeof position === "object" && inRange(position.x, 0, 8192) && inRange(position.y, 0, 8192);
+    if (!isPreset && !isPoint) {
+      throw httpError(400, `${field("position")} must be one of ${OVERLAY_POSITIONS.join(", ")} or { x, y } in px`);
+    }
+    if (!inRange(scale, 0.01, 1)) throw httpError(400, `${field("scale")} must be between 0.01 and 1 (fraction of canvas width)`);
+    if (!inRange(opacity, 0, 1)) throw httpError(400, `${field("opacity")} must be between 0 and 1`);
+    if (start !== undefined && !inRange(start, 0, 86400)) throw httpError(400, `${field("start")} must be a number >= 0 (seconds)`);
+    if (end !== undefined && (!inRange(end, 0, 86400) || end <= (start ?? 0))) throw httpError(400, `${field("end")} must be greater than start (seconds)`);
+
+    if (text !== undefined) {
+      if (text.length === 0 || text.length > 500) throw httpError(400, `${field("text")} must have 1 to 500 characters`);
+      if (typeof font !== "string" || !/^[\w .-]{1,64}$/.test(font)) throw httpError(400, `${field("font")} must be a font family name`);
+      if (!inRange(fontSize, 8, 400)) throw httpError(400, `${field("fontSize")} must be between 8 and 400 (px)`);
+      for (const [name, value] of Object.entries({ color, boxColor })) {
+        if (value !== undefined && (typeof value !== "string" || !HEX_COLOR_PATTERN.test(value))) {
+          throw httpError(400, `${field(name)} must be #RRGGBB or #RRGGBBAA`);
+        }
+      }
+      return { text, position, opacity, start, end, font, fontSize, color, boxColor };
+    }
+
+    return { url, headers, position, scale, opacity, start, end };
+  });
+}
+
+// Baixa as imagens / grava os textos em tempDir. Imagens viram inputs extras do ffmpeg
+// a partir de `firstInputIndex`; retorna os overlays com `file` e `inputIndex`.
+async function prepareOverlays(overlays, tempDir, firstInputIndex, { signal, inputs } = {}) {
+  let inputIndex = firstInputIndex;
+  const prepared = [];
+
+  for (const [i, overlay] of overlays.entries()) {
+    if (overlay.text !== undefined) {
+      await ensureFontAvailable(overlay.font);
+      // textfile + expansion=none: texto literal, sem escape do drawtext (':', '\'', '%'...)
+      const file = path.join(tempDir, `overlay-${i}.txt`);
+      await fs.writeFile(file, overlay.text);
+      prepared.push({ ...overlay, file, inputIndex: null });
+    } else {
+      const file = path.join(tempDir, `overlay-${i}`);
+      try {
+        await fetchInput(overlay.url, file, 60000, { signal, inputs, headers: overlay.headers });
+      } catch (err) {
+        throw downloadFailure(`Failed to download overlay ${i + 1}`, err);
+      }
+      prepared.push({ ...overlay, file, inputIndex: inputIndex++ });
+    }
+  }
+
+  return prepared;
+}
+
+// Expressões x/y do preset; `w`/`h` são as dimensões do overlay na expressão do filtro
+function overlayCoordinates(position, margin, [mainW, mainH, w, h]) {
+  if (typeof position === "object") {
+    return { x: position.x, y: position.y };
+  }
+  const left = margin;
+  const right = `${mainW}-${w}-${margin}`;
+  const top = margin;
+  const bottom = `${mainH}-${h}-${margin}`;
+  const centerX = `(${mainW}-${w})/2`;
+  const centerY = `(${mainH}-${h})/2`;
+  return {
+    "top-left": { x: left, y: top },
+    "top-right": { x: right, y: top },
+    "bottom-left": { x: left, y: bottom },
+    "bottom-right": { x: right, y: bottom },
+    center: { x: centerX, y: centerY },
+  }[position];
+}
+
+// Encadeia os overlays a partir do label `input`; retorna { filters, video }
+function buildOverlayFilters(input, overlays, canvas) {
+  const margin = Math.round(Math.min(canvas.width, canvas.height) * 0.04);
+  const filters = [];
+  let video = input;
+
+  overlays.forEach((overlay, i) => {
+    const output = `[vov${i}]`;
+    const enable = overlay.start !== undefined || overlay.end !== undefined
+      ? `:enable='between(t,${overlay.start ?? 0},${overlay.end ?? 999999})'`
+      : "";
+
+    if (overlay.inputIndex !== null) {
+      const width = Math.max(2, Math.round((canvas.width * overlay.scale) / 2) * 2);
+      const { x, y } = overlayCoordinates(overlay.position, margin, ["main_w", "main_h", "overlay_w", "overlay_h"]);
+      filters.push(`[${overlay.inputIndex}:v]format=rgba,scale=${width}:-1,colorchannelmixer=aa=${overlay.opacity}[ovimg${i}]`);
+      filters.push(`${video}[ovimg${i}]overlay=x=${x}:y=${y}${enable}${output}`);
+    } else {
+      const { x, y } = overlayCoordinates(overlay.position, margin, ["w", "h", "text_w", "text_h"]);
+      const color = (hex) => `0x${hex.slice(1, 7)}@${((hex.length === 9 ? parseInt(hex.slice(7, 9), 16) / 255 : 1) * overlay.opacity).toFixed(3)}`;
+      const box = overlay.boxColor ? `:box=1:boxcolor=${color(overlay.boxColor)}:boxborderw=${Math.round(overlay.fontSize / 3)}` : "";
+      filters.push(`${video}drawtext=font='${overlay.font}':textfile='${overlay.file}':expansion=none:fontsize=${overlay.fontSize}:fontcolor=${color(overlay.color)}${box}:x=${x}:y=${y}${enable}${output}`);
+    }
+
+    video = output;
+  });
+
+  return { filters, video };
+}
+
+// Tamanho do frame como o ffmpeg entrega aos filtros (autorotate troca largura/altura em 90°/270°)
+function displaySize({ width, height, rotation }) {
+  return rotation % 180 === 90 ? { width: height, height: width } : { width, height };
+}
+
+// ============================================
+// SCHEMAS: validação do body + OpenAPI (GET /openapi.json)
+// ============================================
+// Cada endpoint declara o schema do body (subconjunto de JSON Schema); validateBody
+// responde 400 com os erros por campo antes de criar o job. Os resolve* continuam
+// normalizando defaults e regras entre campos (ex: end > start).
+
+const JSON_TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null,
+};
+
+function matchesType(type, value) {
+  return [].concat(type).some((name) => JSON_TYPE_CHECKS[name](value));
+}
+
+// "string" → "a string", ["string", "integer"] → "a string or an integer"
+function describeTypes(types) {
+  return [...new Set(types)].map((name) => (name === "null" ? "null" : `${/^[aeiou]/.test(name) ? "an" : "a"} ${name}`)).join(" or ");
+}
+
+// Retorna [{ field, message }] — vazio se `value` segue o schema.
+// Suporta type, enum, minimum/maximum, exclusiveMinimum, minLength/maxLength, pattern,
+// items/minItems/maxItems, properties/required/propertyNames/additionalProperties e anyOf.
+function validateSchema(schema, value, field = "body") {
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((option) => validateSchema(option, value, field));
+    if (results.some((errors) => errors.length === 0)) return [];
+    // Reporta os erros da opção do mesmo tipo (ex: objeto com um campo inválido)
+    const sameType = schema.anyOf.findIndex((option) => option.type && matchesType(option.type, value));
+    if (sameType !== -1) return results[sameType];
+    return [{ field, message: `must be ${describeTypes(schema.anyOf.flatMap((option) => [].concat(option.type || [])))}` }];
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [{ field, message: `must be ${describeTypes([].concat(schema.type))}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ field, message: `must be one of: ${schema.enum.join(", ")}` }];
+  }
+
+  const errors = [];
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ field, message: `must be >= ${schema.minimum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ field, message: `must be > ${schema.exclusiveMinimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ field, message: `must be <= ${schema.maximum}` });
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ field, message: `must have at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ field, message: `must have at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ field, message: `must be ${schema.description || `a string matching ${schema.pattern}`}` });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ field, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${field}[${i}]`)));
+  }
+  if (JSON_TYPE_CHECKS.object(value)) {
+    const child = (key) => (field === "body" ? key : `${field}.${key}`);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: child(key), message: "is required" });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(propertySchema, value[key], child(key)));
+    }
+    for (const key of Object.keys(value)) {
+      if (schema.propertyNames) errors.push(...validateSchema(schema.propertyNames, key, child(key)));
+      if (schema.additionalProperties && !(schema.properties && key in schema.properties)) {
+        errors.push(...validateSchema(schema.additionalProperties, value[key], child(key)));
+      }
+    }
+  }
+  return errors;
+}
+
+function validateBody(schema) {
+  return (req, res, next) => {
+    const fields = validateSchema(schema, req.body);
+    if (fields.length > 0) {
+      return res.status(400).json({ error: "Invalid request body", fields });
+    }
+    next();
+  };
+}
+
+const X264_PRESETS = ["ultrafast", "superfast", "veryfast", "faster", "fast", "medium", "slow", "slower", "veryslow"];
+const VIDEO_CODECS = ["libx264", "libx265"];
+const AUDIO_CODECS = ["aac", "libopus", "libmp3lame"];
+const OUTPUT_FORMATS = ["mp4", "mov", "mkv"];
+const MAX_PROBE_URLS = 20;
+
+const httpUrlSchema = { type: "string", maxLength: 4096, pattern: "^https?://", description: "an http(s) URL" };
+// Input de mídia: URL ou arquivo enviado no mesmo request (multipart, ver acceptUploads)
+const inputUrlSchema = {
+  type: "string",
+  maxLength: 4096,
+  pattern: "^(https?://|upload:[\\w-]{1,100}$|(s3|r2)://[a-z0-9][a-z0-9.-]{1,62}/.)",
+  description: "an http(s) URL, s3://bucket/key, r2://bucket/key or upload:<field> (multipart file part)",
+};
+const bitrateSchema = { type: ["string", "integer"], minimum: 1, pattern: "^\\d+(\\.\\d+)?[kKmM]?$", description: 'a bitrate like "800k" or "5M"' };
+const secondsSchema = { type: "number", minimum: 0, maximum: 86400 };
+// Headers extras no download de um input (Authorization, Cookie...)
+const inputHeadersSchema = {
+  type: "object",
+  propertyNames: { type: "string", pattern: "^[!#$%&'*+.^_`|~0-9A-Za-z-]{1,256}$", description: "an HTTP header name" },
+  additionalProperties: { type: "string", maxLength: 8192, pattern: "^[^\\r\\n]*$", description: "a header value without line breaks" },
+};
+const hexColorSchema = { type: "string", pattern: HEX_COLOR_PATTERN.source, description: "#RRGGBB or #RRGGBBAA" };
+// Entram em nomes de diretório/arquivo e em chaves de storage: sem "..", barras extras ou espaços
+const idSchema = { type: "string", pattern: "^[\\w-]{1,100}$", description: "letters, digits, _ or - (max 100)" };
+const filenameSchema = { type: "string", pattern: "^[\\w-][\\w.-]{0,200}\\.mp4$", description: "a file name like video.mp4 (letters, digits, _ . -)" };
+const storagePathSchema = {
+  type: "string",
+  maxLength: 1024,
+  pattern: "^[\\w-][\\w.-]*(/[\\w-][\\w.-]*)*$",
+  description: "a relative path like folder/video.mp4 (no .. or leading /)",
+};
+
+const JOB_OPTIONS_PROPERTIES = {
+  async: { type: "boolean" },
+  priority: { type: "integer", minimum: -10, maximum: 10 },
+  callbackUrl: httpUrlSchema,
+  callbackSecret: { type: "string", minLength: 1, maxLength: 256 },
+};
+
+const clipSchema = {
+  type: "object",
+  required: ["url"],
+  properties: {
+    url: inputUrlSchema,
+    headers: inputHeadersSchema,
+    start: secondsSchema,
+    end: { type: "number", exclusiveMinimum: 0, maximum: 86400 },
+    speed: { type: "number", minimum: 0.25, maximum: 4 },
+    volume: { type: "number", minimum: 0, maximum: 4 },
+    muted: { type: "boolean" },
+  },
+};
+
+const transitionSchema = {
+  type: "object",
+  required: ["type"],
+  properties: {
+    type: { type: "string", enum: ["none", ...XFADE_TRANSITIONS] },
+    duration: { type: "number", minimum: 0.1, maximum: 5 },
+  },
+};
+
+const backgroundAudioSchema = {
+  type: "object",
+  required: ["url"],
+  properties: {
+    url: inputUrlSchema,
+    headers: inputHeadersSchema,
+    volume: { type: "number", minimum: 0, maximum: 2 },
+    fadeIn: { type: "number", minimum: 0, maximum: 30 },
+    fadeOut: { type: "number", minimum: 0, maximum: 30 },
+    loop: { type: "boolean" },
+    startOffset: secondsSchema,
+    duck: {
+      anyOf: [
+        { type: "boolean" },
+        {
+          type: "object",
+          properties: {
+            threshold: { type: "number", minimum: 0.001, maximum: 1 },
+            ratio: { type: "number", minimum: 1, maximum: 20 },
+            attack: { type: "number", minimum: 0.01, maximum: 2000 },
+            release: { type: "number", minimum: 0.01, maximum: 9000 },
+          },
+        },
+      ],
+    },
+  },
+};
+
+const subtitlesSchema = {
+  type: "object",
+  properties: {
+    url: inputUrlSchema,
+    headers: inputHeadersSchema,
+    captions: {
+      type: "array",
+      minItems: 1,
+      maxItems: 5000,
+      items: {
+        type: "object",
+        required: ["start", "end", "text"],
+        properties: { start: secondsSchema, end: secondsSchema, text: { type: "string", maxLength: 1000 } },
+      },
+    },
+    format: { type: "string", enum: SUBTITLE_FORMATS },
+    style: {
+      type: "object",
+      properties: {
+        font: { type: "string", pattern: "^[\\w .-]{1,64}$", description: "a font family name" },
+        fontSize: { type: "number", minimum: 8, maximum: 300 },
+        primaryColor: hexColorSchema,
+        outlineColor: hexColorSchema,
+        backColor: hexColorSchema,
+        outline: { type: "number", minimum: 0, maximum: 20 },
+        shadow: { type: "number", minimum: 0, maximum: 20 },
+        bold: { type: "boolean" },
+        position: { type: "string", enum: Object.keys(SUBTITLE_POSITIONS) },
+        marginV: { type: "number", minimum: 0, maximum: 4000 },
+        marginH: { type: "number", minimum: 0, maximum: 4000 },
+      },
+    },
+  },
+};
+
+const overlaysSchema = {
+  type: "array",
+  minItems: 1,
+  maxItems: MAX_OVERLAYS,
+  items: {
+    type: "object",
+    properties: {
+      url: inputUrlSchema,
+      headers: inputHeadersSchema,
+      text: { type: "string", minLength: 1, maxLength: 500 },
+      position: {
+        anyOf: [
+          { type: "string", enum: OVERLAY_POSITIONS },
+          {
+            type: "object",
+            required: ["x", "y"],
+            properties: { x: { type: "number", minimum: 0, maximum: 8192 }, y: { type: "number", minimum: 0, maximum: 8192 } },
+          },
+        ],
+      },
+      scale: { type: "number", minimum: 0.01, maximum: 1 },
+      opacity: { type: "number", minimum: 0, maximum: 1 },
+      start: secondsSchema,
+      end: secondsSchema,
+      font: { type: "string", pattern: "^[\\w .-]{1,64}$", description: "a font family name" },
+      fontSize: { type: "number", minimum: 8, maximum: 400 },
+      color: hexColorSchema,
+      boxColor: hexColorSchema,
+    },
+  },
+};
+
+const r2CredentialSchema = { type: "string", minLength: 1, maxLength: 256 };
+const r2AccountIdSchema = { type: "string", pattern: "^[A-Za-z0-9]{1,64}$", description: "an R2 account id" };
+const bucketNameSchema = { type: "string", pattern: "^[a-z0-9][a-z0-9.-]{1,62}$", description: "a bucket name" };
+
+const destinationSchema = {
+  type: "object",
+  properties: {
+    driver: { type: "string", enum: Object.keys(STORAGE_DRIVERS) },
+    profile: { type: "string", minLength: 1, maxLength: 100 },
+    bucket: bucketNameSchema,
+    key: storagePathSchema,
+    endpoint: httpUrlSchema,
+    region: { type: "string", pattern: "^[\\w-]{1,64}$", description: "a region name" },
+    accountId: r2AccountIdSchema,
+    accessKeyId: r2CredentialSchema,
+    secretAccessKey: r2CredentialSchema,
+    url: httpUrlSchema,
+    serviceKey: { type: "string", minLength: 1 },
+    upsert: { type: "boolean" },
+    publicBaseUrl: httpUrlSchema,
+  },
+};
+
+const CONCATENATE_SCHEMA = {
+  type: "object",
+  required: ["videoUrls", "outputFilename"],
+  properties: {
+    projectId: idSchema,
+    videoUrls: { type: "array", minItems: 2, maxItems: 100, items: { anyOf: [inputUrlSchema, clipSchema] } },
+    outputFilename: filenameSchema,
+    storagePath: storagePathSchema,
+    format: { type: "string", enum: Object.keys(FORMAT_DIMENSIONS) },
+    width: { type: "integer", minimum: 16, maximum: 4096 },
+    height: { type: "integer", minimum: 16, maximum: 4096 },
+    fitMode: { type: "string", enum: FIT_MODES },
+    padColor: { type: "string", pattern: COLOR_PATTERN.source, description: "a color name or #RRGGBB" },
+    transitions: {
+      anyOf: [
+        transitionSchema,
+        { type: "array", items: { anyOf: [transitionSchema, { type: "null" }] } },
+        { type: "null" },
+      ],
+    },
+    backgroundAudio: backgroundAudioSchema,
+    subtitles: subtitlesSchema,
+    overlays: overlaysSchema,
+    r2AccountId: r2AccountIdSchema,
+    r2AccessKeyId: r2CredentialSchema,
+    r2SecretAccessKey: r2CredentialSchema,
+    destination: destinationSchema,
+    inputStorage: destinationSchema,
+    ...JOB_OPTIONS_PROPERTIES,
+  },
+};
+
+const COMPRESS_SCHEMA = {
+  type: "object",
+  required: ["videoUrl"],
+  properties: {
+    videoUrl: inputUrlSchema,
+    videoHeaders: inputHeadersSchema,
+    outputFormat: { type: "string", enum: OUTPUT_FORMATS },
+    crf: { type: "integer", minimum: 0, maximum: 51 },
+    preset: { type: "string", enum: X264_PRESETS },
+    maxBitrate: bitrateSchema,
+    codec: { type: "string", enum: VIDEO_CODECS },
+    audioCodec: { type: "string", enum: AUDIO_CODECS },
+    audioBitrate: bitrateSchema,
+    targetSizeMB: { type: "number", exclusiveMinimum: 0, maximum: 10240 },
+    maxWidth: { type: "integer", minimum: 16, maximum: 8192 },
+    maxHeight: { type: "integer", minimum: 16, maximum: 8192 },
+    supabaseUrl: httpUrlSchema,
+    supabaseKey: { type: "string", minLength: 1 },
+    outputPath: storagePathSchema,
+    destination: destinationSchema,
+    inputStorage: destinationSchema,
+    subtitles: subtitlesSchema,
+    overlays: overlaysSchema,
+    ...JOB_OPTIONS_PROPERTIES,
+  },
+};
+
+const OVERLAY_SCHEMA = { ...COMPRESS_SCHEMA, required: ["videoUrl", "overlays"] };
+const SUBTITLES_SCHEMA = { ...COMPRESS_SCHEMA, required: ["videoUrl", "subtitles"] };
+
+const PROBE_SCHEMA = {
+  type: "object",
+  properties: {
+    url: httpUrlSchema,
+    urls: { type: "array", minItems: 1, maxItems: MAX_PROBE_URLS, items: httpUrlSchema },
+    ...JOB_OPTIONS_PROPERTIES,
+  },
+};
+
+const GENERATE_ZIP_SCHEMA = {
+  type: "object",
+  required: ["videos"],
+  properties: {
+    projectId: idSchema,
+    videos: {
+      type: "array",
+      minItems: 1,
+      maxItems: 500,
+      items: {
+        type: "object",
+        required: ["url", "filename"],
+        properties: { url: inputUrlSchema, headers: inputHeadersSchema, filename: { type: "string", minLength: 1, maxLength: 255 } },
+      },
+    },
+    userId: { type: "string", maxLength: 256 },
+    productCode: idSchema,
+    r2Config: {
+      type: "object",
+      required: ["accountId", "accessKeyId", "secretAccessKey", "bucketName"],
+      properties: {
+        accountId: r2AccountIdSchema,
+        accessKeyId: r2CredentialSchema,
+        secretAccessKey: r2CredentialSchema,
+        bucketName: bucketNameSchema,
+      },
+    },
+    destination: destinationSchema,
+    inputStorage: destinationSchema,
+    ...JOB_OPTIONS_PROPERTIES,
+  },
+};
+
+// Limites do /variants (matriz de criativos)
+const MAX_VARIANTS = parseInt(process.env.MAX_VARIANTS, 10) || 50;
+const MAX_VARIANT_GROUPS = 10;
+const MAX_VARIANT_GROUP_CLIPS = 20;
+const VARIANT_GROUP_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+
+const variantGroupNameSchema = { type: "string", pattern: VARIANT_GROUP_PATTERN.source, description: "a group name (letter, then letters, digits or _; max 32)" };
+
+const VARIANTS_SCHEMA = {
+  type: "object",
+  required: ["groups"],
+  properties: {
+    projectId: idSchema,
+    groups: {
+      type: "object",
+      propertyNames: variantGroupNameSchema,
+      additionalProperties: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_VARIANT_GROUP_CLIPS,
+        items: { anyOf: [inputUrlSchema, { ...clipSchema, properties: { ...clipSchema.properties, name: idSchema } }] },
+      },
+    },
+    order: { type: "array", minItems: 2, maxItems: MAX_VARIANT_GROUPS, items: variantGroupNameSchema },
+    combinations: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_VARIANTS,
+      items: {
+        type: "object",
+        propertyNames: variantGroupNameSchema,
+        additionalProperties: { anyOf: [{ type: "integer", minimum: 1, description: "a clip position (1-based)" }, idSchema] },
+      },
+    },
+    outputFilename: {
+      type: "string",
+      pattern: "^[\\w{}-][\\w.{}-]{0,200}\\.mp4$",
+      description: "a file name template like {projectId}-{hook}-{cta}.mp4",
+    },
+    storagePath: storagePathSchema,
+    format: { type: "string", enum: Object.keys(FORMAT_DIMENSIONS) },
+    width: { type: "integer", minimum: 16, maximum: 4096 },
+    height: { type: "integer", minimum: 16, maximum: 4096 },
+    fitMode: { type: "string", enum: FIT_MODES },
+    padColor: { type: "string", pattern: COLOR_PATTERN.source, description: "a color name or #RRGGBB" },
+    transitions: CONCATENATE_SCHEMA.properties.transitions,
+    backgroundAudio: backgroundAudioSchema,
+    subtitles: subtitlesSchema,
+    overlays: overlaysSchema,
+    zip: {
+      anyOf: [
+        { type: "boolean" },
+        { type: "object", properties: { filename: { type: "string", pattern: "^[\\w-][\\w.-]{0,200}\\.zip$", description: "a file name like criativos.zip" } } },
+      ],
+    },
+    destination: destinationSchema,
+    inputStorage: destinationSchema,
+    ...JOB_OPTIONS_PROPERTIES,
+  },
+};
+
+// Rotas documentadas no /openapi.json. `job: true` = aceita async/callbackUrl (respostas 202/503)
+const API_ROUTES = [
+  { method: "get", path: "/health", summary: "Health check", public: true },
+  { method: "get", path: "/metrics", summary: "Prometheus metrics (jobs, phases, transfers, ffmpeg, temp disk)", public: true, contentType: "text/plain" },
+  { method: "get", path: "/jobs", summary: "List jobs (?status= and ?type= filters)" },
+  { method: "get", path: "/jobs/{id}", summary: "Job status, progress and result" },
+  { method: "delete", path: "/jobs/{id}", summary: "Cancel a queued or running job (409 if already finished)" },
+  { method: "get", path: "/jobs/{id}/logs", summary: "Job log lines and ffmpeg stderr (?source=ffmpeg|server)" },
+  { method: "get", path: "/jobs/{id}/events", summary: "Job progress as Server-Sent Events", contentType: "text/event-stream" },
+  { method: "post", path: "/probe", summary: "ffprobe metadata for one or more URLs", schema: PROBE_SCHEMA, job: true },
+  { method: "post", path: "/concatenate", summary: "Concatenate clips and upload the result to storage", schema: CONCATENATE_SCHEMA, job: true, uploads: true },
+  { method: "post", path: "/compress", summary: "Compress a video (CRF or targetSizeMB)", schema: COMPRESS_SCHEMA, job: true, uploads: true, contentType: "video/mp4" },
+  { method: "post", path: "/overlay", summary: "Apply image/text overlays to a video", schema: OVERLAY_SCHEMA, job: true, uploads: true, contentType: "video/mp4" },
+  { method: "post", path: "/subtitles", summary: "Burn subtitles into a video", schema: SUBTITLES_SCHEMA, job: true, uploads: true, contentType: "video/mp4" },
+  { method: "post", path: "/generate-zip", summary: "Zip videos and upload the archive to storage", schema: GENERATE_ZIP_SCHEMA, job: true, uploads: true },
+  { method: "post", path: "/variants", summary: "Render every combination of clip groups (hook × body × CTA) in one job", schema: VARIANTS_SCHEMA, job: true, uploads: true },
+];
+
+function buildOpenApiDocument() {
+  const errorSchema = { type: "object", properties: { error: { type: "string" }, details: { type: "string" } } };
+  const jsonResponse = (description, schema = { type: "object" }) => ({ description, content: { "application/json": { schema } } });
+  const paths = {};
+
+  for (const route of API_ROUTES) {
+    const success = route.contentType
+      ? { description: "OK", content: { [route.contentType]: {}, ...(route.contentType !== "text/event-stream" && { "application/json": { schema: { type: "object" } } }) } }
+      : jsonResponse("OK");
+    const operation = {
+      summary: route.summary,
+      ...(route.public ? { security: [] } : {}),
+      ...(route.path.includes("{id}") && { parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }] }),
+      responses: { 200: success },
+    };
+
+    if (route.schema) {
+      operation.requestBody = { required: true, content: { "application/json": { schema: route.schema } } };
+      if (route.uploads) {
+        operation.requestBody.content["multipart/form-data"] = {
+          schema: {
+            type: "object",
+            required: ["payload"],
+            properties: { payload: { type: "string", description: "The JSON body; file parts are referenced in it as upload:<field>" } },
+            additionalProperties: { type: "string", format: "binary" },
+          },
+        };
+      }
+      operation.responses[400] = jsonResponse("Invalid request body", {
+        type: "object",
+        properties: {
+          error: { type: "string" },
+          fields: { type: "array", items: { type: "object", properties: { field: { type: "string" }, message: { type: "string" } } } },
+        },
+      });
+    }
+    if (!route.public) {
+      operation.responses[401] = jsonResponse("Invalid or missing API key", errorSchema);
+      operation.responses[403] = jsonResponse("API key not allowed on this endpoint (scopes)", errorSchema);
+    }
+    if (route.job) {
+      operation.responses[202] = jsonResponse("Accepted (async: true)", {
+        type: "object",
+        properties: { jobId: { type: "string" }, status: { type: "string" }, statusUrl: { type: "string" } },
+      });
+      operation.responses[422] = jsonResponse("Unusable input (probe failed)", errorSchema);
+      operation.responses[429] = jsonResponse("API key quota reached (concurrency, daily jobs or bytes)", errorSchema);
+      operation.responses[503] = jsonResponse("Server busy", errorSchema);
+    }
+
+    paths[route.path] = { ...paths[route.path], [route.method]: operation };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title: "FFmpeg Video Server", version: require("./package.json").version },
+    components: { securitySchemes: { apiKey: { type: "apiKey", in: "header", name: "x-api-key" } } },
+    security: [{ apiKey: [] }],
+    paths,
+  };
+}
+
+app.get("/openapi.json", (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+// ============================================
+// ENDPOINT: /probe (metadados via ffprobe)
+// ============================================
+// Job do pool de IO: as URLs são baixadas em lotes, com a política de saída em cada redirect e
+// em cada resolução de DNS; o ffprobe só lê o arquivo local. Os bytes contam na quota da API key.
+const PROBE_BATCH_SIZE = 4;
+const PROBE_PREFIX_BYTES = 16 * 1024 * 1024;
+// Containers com a duração no cabeçalho: o começo do arquivo basta (se o índice vier no início)
+const PROBE_PREFIX_CONTAINERS = ["mov", "mp4", "matroska", "webm"];
+
+app.post("/probe", authenticateApiKey("probe"), validateBody(PROBE_SCHEMA), (req, res) => {
+  const { url, urls } = req.body;
+  const sources = urls !== undefined ? urls : url !== undefined ? [url] : [];
+
+  if (sources.length === 0) {
+    return res.status(400).json({ error: "Invalid request body", fields: [{ field: "url", message: "url or urls is required" }] });
+  }
+
+  const inputs = resolveJobInputs(req);
+
+  runJob(req, res, {
+    type: "probe",
+    label: uniqueName("probe"),
+    run: (job) => probeJob(job, sources, inputs),
+    failure: "Probe failed",
+  });
+});
+
+async function probeJob(job, sources, inputs) {
+  const tempDir = path.join("/tmp", job.label);
+  const signal = job.abortController.signal;
+
+  setJobStatus(job, "downloading");
+  log.info("Probing inputs", { inputs: sources.length });
+
+  try {
+    await fs.mkdir(tempDir, { recursive: true });
+
+    // Um input ilegível não derruba os outros: cada item tem ok + info ou error
+    const results = [];
+    for (let i = 0; i < sources.length; i += PROBE_BATCH_SIZE) {
+      const batch = sources.slice(i, i + PROBE_BATCH_SIZE);
+      results.push(...(await Promise.all(
+        batch.map(async (source, j) => {
+          try {
+            return { url: source, ok: true, ...(await probeSource(source, path.join(tempDir, `input-${i + j}`), { signal, inputs })) };
+          } catch (err) {
+            if (signal.aborted) throw err;
+            return { url: source, ok: false, error: err.message };
+          }
+        }),
+      )));
+    }
+
+    return { body: { results } };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Baixa só os primeiros PROBE_PREFIX_BYTES (Range). Se o arquivo não coube e o container não
+// garante duração pelo cabeçalho (ou o ffprobe não leu o pedaço), baixa o arquivo inteiro.
+async function probeSource(source, filePath, options) {
+  const { totalBytes } = await downloadToFile(source, filePath, PROBE_DOWNLOAD_TIMEOUT_MS, {
+    signal: options.signal,
+    prefixBytes: PROBE_PREFIX_BYTES,
+  });
+  const { size } = await fs.stat(filePath);
+  incCounter("ffmpeg_server_input_bytes_total", { source: "http" }, size);
+  options.inputs.onFetched?.(size);
+
+  const complete = size < PROBE_PREFIX_BYTES || (totalBytes !== null && size >= totalBytes);
+  const info = await probeMedia(filePath).catch((err) => {
+    if (complete) throw err;
+    return null;
+  });
+  if (complete) return info;
+
+  const containers = info?.container?.split(",") || [];
+  if (info?.duration && totalBytes !== null && containers.some((name) => PROBE_PREFIX_CONTAINERS.includes(name))) {
+    // size/bitrate do ffprobe seriam do pedaço baixado
+    return { ...info, size: totalBytes, bitrate: Math.round((totalBytes * 8) / info.duration) };
+  }
+
+  await fs.unlink(filePath).catch(() => {});
+  await fetchInput(source, filePath, PROBE_DOWNLOAD_TIMEOUT_MS, options);
+  return probeMedia(filePath);
+}
+
+// ============================================
+// ENDPOINT: /concatenate (STREAMING OTIMIZADO + CONCURRENCY LIMIT)
+// ============================================
+// Campos antigos r2AccountId/r2AccessKeyId/r2SecretAccessKey = destino R2 no bucket fixo
+function legacyR2Destination({ r2AccountId, r2AccessKeyId, r2SecretAccessKey }) {
+  if (!r2AccountId && !r2AccessKeyId && !r2SecretAccessKey) return null;
+  return {
+    driver: "r2",
+    bucket: "video-parts-upload",
+    accountId: r2AccountId,
+    accessKeyId: r2AccessKeyId,
+    secretAccessKey: r2SecretAccessKey,
+  };
+}
+
+app.post("/concatenate", authenticateApiKey("concatenate"), acceptUploads, validateBody(CONCATENATE_SCHEMA), (req, res) => {
+  const projectId = req.body.projectId || uniqueName("project");
+  const { videoUrls, format } = req.body;
+
+  log.info("Request received", { format, videos: videoUrls.length });
+
+  let options;
+  try {
+    options = {
+      clips: resolveClips(videoUrls),
+      canvas: resolveCanvas(req.body),
+      transitions: resolveTransitions(req.body.transitions, videoUrls.length),
+      backgroundAudio: resolveBackgroundAudio(req.body.backgroundAudio),
+      subtitles: resolveSubtitles(req.body.subtitles),
+      overlays: resolveOverlays(req.body.overlays),
+      destination: resolveJobDestination(req.body, legacyR2Destination(req.body)),
+    };
+    options.inputs = resolveJobInputs(req);
+    // Clipes com `end` já têm duração conhecida; os demais são checados depois do probe
+    assertTransitionsFit(options.clips.map((clip) => clipOutputDuration(clip, null)), options.transitions);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (!options.destination) {
+    return res.status(400).json({ error: "destination (or r2AccountId, r2AccessKeyId and r2SecretAccessKey) is required" });
+  }
+
+  runJob(req, res, {
+    type: "concatenate",
+    label: projectId,
+    run: (job) => concatenateJob(job, req.body, options),
+    failure: "Concatenation failed",
+  });
+});
+
+async function concatenateJob(job, body, { clips, canvas, transitions, backgroundAudio, subtitles, overlays, destination, inputs }) {
+  const projectId = job.label;
+  const { outputFilename, format } = body;
+
+  log.info("Target format", { format, width: canvas.width, height: canvas.height, fitMode: canvas.fitMode });
+
+  const tempDir = path.join("/tmp", uniqueName(`project-${projectId}`));
+
+  try {
+    // Create temp directory
+    await fs.mkdir(tempDir, { recursive: true });
+    log.info("Created temp dir", { tempDir });
+
+    // STREAMING: Download all videos direto para arquivo (não RAM)
+    setJobStatus(job, "downloading");
+    const downloadedFiles = [];
+    const probes = [];
+    for (let i = 0; i < clips.length; i++) {
+      const { url, headers } = clips[i];
+      const filename = `video-${i}.mp4`;
+      const filepath = path.join(tempDir, filename);
+
+      log.info("Downloading video", { item: i + 1, items: clips.length });
+
+      const downloadStartTime = Date.now();
+
+      try {
+        await fetchInput(url, filepath, 600000, { // 10 min timeout
+          signal: job.abortController.signal,
+          inputs,
+          headers,
+          onProgress: ({ bytes, totalBytes }) =>
+            updateJobProgress(job, { item: i + 1, items: clips.length, bytes, totalBytes, percent: percentOf(bytes, totalBytes) }),
+        });
+        
+        const downloadTime = ((Date.now() - downloadStartTime) / 1000).toFixed(2);
+        const stats = await fs.stat(filepath);
+        const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
+
+        log.info("Downloaded video", { item: i + 1, sizeMB: Number(sizeMB), seconds: Number(downloadTime) });
+
+        if (stats.size > 200 * 1024 * 1024) {
+          log.warn("Large input, processing may take longer", { item: i + 1, sizeMB: Number(sizeMB) });
+        }
+
+        downloadedFiles.push(filepath);
+      } catch (downloadError) {
+        log.error("Download failed", { item: i + 1, error: downloadError.message });
+        throw downloadFailure(`Failed to download video ${i + 1}`, downloadError);
+      }
+
+      // Pre-flight: arquivo corrompido/sem vídeo falha aqui, antes de baixar o resto
+      probes.push(await probeInput(filepath, `Video ${i + 1}`));
+    }
+
+    let musicFile = null;
+    if (backgroundAudio) {
+      musicFile = path.join(tempDir, "background-audio");
+      log.info("Downloading background audio");
+      try {
+        await fetchInput(backgroundAudio.url, musicFile, 600000, {
+          signal: job.abortController.signal,
+          inputs,
+          headers: backgroundAudio.headers,
+          onProgress: ({ bytes, totalBytes }) => updateJobProgress(job, { item: "backgroundAudio", bytes, totalBytes, percent: percentOf(bytes, totalBytes) }),
+        });
+      } catch (downloadError) {
+        throw downloadFailure("Failed to download background audio", downloadError);
+      }
+      await probeInput(musicFile, "Background audio", { requireVideo: false, requireAudio: true });
+    }
+
+    // ============================================
+    // CONCATENAÇÃO: Preparar vídeos já normalizados
+    // ============================================
+    log.info("Preparing normalized videos for concatenation", { videos: downloadedFiles.length });
+
+    // Duração de cada clipe (após trim/speed): offsets das transições e % do encode
+    const timedClips = clips.map((clip, i) => {
+      const sourceDuration = probes[i].duration;
+      if (sourceDuration !== null && clip.start >= sourceDuration) {
+        throw httpError(422, `Video ${i + 1}: start (${clip.start}s) is beyond the video duration (${sourceDuration.toFixed(2)}s)`);
+      }
+      const duration = clipOutputDuration(clip, sourceDuration);
+      if (!probes[i].hasAudio) {
+        if (duration === null) {
+          throw httpError(422, `Video ${i + 1} has no audio track and an unknown duration`);
+        }
+        log.info("Video has no audio track, using silence", { item: i + 1 });
+      }
+      return { ...clip, duration, hasAudio: probes[i].hasAudio };
+    });
+    if (transitions.some(Boolean) && timedClips.some((clip) => clip.duration === null)) {
+      throw new Error("Could not read clip durations required for transitions");
+    }
+
+    const subtitlesFile = subtitles ? await prepareSubtitles(subtitles, canvas, tempDir, { signal: job.abortController.signal, inputs }) : null;
+    // Imagens de overlay entram depois dos clipes e da trilha
+    const overlayInputIndex = clips.length + (musicFile ? 1 : 0);
+    const preparedOverlays = overlays ? await prepareOverlays(overlays, tempDir, overlayInputIndex, { signal: job.abortController.signal, inputs }) : null;
+
+    const filterScriptPath = path.join(tempDir, "filtergraph.txt");
+    const { graph: filterGraph, duration: expectedDuration, video: videoLabel, audio: audioLabel } =
+      buildConcatFilterGraph(timedClips, canvas, transitions, { backgroundAudio, overlays: preparedOverlays, subtitlesFile });
+    await fs.writeFile(filterScriptPath, filterGraph);
+    log.info("Created filtergraph", { videos: downloadedFiles.length });
+
+    // ============================================
+    // CONCATENAÇÃO HÍBRIDA (stream copy → re-encode se falhar)
+    // ============================================
+    const outputPath = path.join(tempDir, outputFilename);
+    setJobStatus(job, "encoding");
+    log.info("Concatenating videos", { videos: downloadedFiles.length });
+
+    let concatSuccess = false;
+    let concatTime = 0;
+
+    // ⚠️ Stream copy desabilitado: causava travamento de imagem na transição
+    // (gancho→corpo) quando timebase/sample-rate dos inputs divergiam minimamente.
+    // Sempre fazer re-encode sincronizado para garantir A/V sync perfeito.
+    log.info("Using safe concat with forced re-encode for A/V sync");
+    const inputArgs = [
+      ...downloadedFiles.flatMap((f, i) => [...clipInputArgs(clips[i]), "-i", f]),
+      ...(musicFile ? [...backgroundAudioInputArgs(backgroundAudio), "-i", musicFile] : []),
+      ...(preparedOverlays || []).filter((o) => o.inputIndex !== null).flatMap((o) => ["-i", o.file]),
+    ];
+    const reencodeArgs = [
+      "-hide_banner", "-loglevel", "error", "-progress", "pipe:1", "-nostats", "-fflags", "+genpts",
+      ...inputArgs,
+      "-filter_complex_script", filterScriptPath,
+      "-map", videoLabel, "-map", audioLabel,
+      ...concatOutputArgs(),
+      "-y", outputPath,
+    ];
+
+    try {
+      const concatStartTime = Date.now();
+      await runFfmpeg(reencodeArgs, { // 10 min timeout
+        timeout: 600000,
+        signal: job.abortController.signal,
+        durationSeconds: expectedDuration,
+        onProgress: (progress) => updateJobProgress(job, progress),
+      });
+      concatTime = ((Date.now() - concatStartTime) / 1000).toFixed(2);
+      concatSuccess = true;
+      log.info("Re-encode complete", { seconds: Number(concatTime) });
+    } catch (reencodeError) {
+      log.error("Re-encode failed", { error: reencodeError.message });
+      throw reencodeError;
+    }
+
+    
+    // Validar output final
+    if (!concatSuccess) {
+      throw new Error('Both concatenation attempts failed');
+    }
+    
+    const outputStats = await fs.stat(outputPath);
+    const sizeMB = (outputStats.size / 1024 / 1024).toFixed(2);
+    const outputDuration = (await probeDuration(outputPath)) ?? expectedDuration;
+    log.info("Final video ready", { sizeMB: Number(sizeMB), duration: outputDuration, seconds: Number(concatTime) });
+    
+    if (outputStats.size < 1000) {
+      throw new Error(`Output video is too small (${outputStats.size} bytes)`);
+    }
+
+    // STREAMING: Upload para o storage de destino via stream (não carregar em RAM)
+    setJobStatus(job, "uploading");
+    log.info("Uploading result", { driver: destination.driver });
+
+    const stored = await storeFile(destination, outputPath, {
+      defaultKey: body.storagePath || `${projectId}/${outputFilename}`,
+      contentType: "video/mp4",
+      signal: job.abortController.signal,
+      onProgress: ({ bytes, totalBytes }) => updateJobProgress(job, { bytes, totalBytes, percent: percentOf(bytes, totalBytes) }),
+    });
+
+    log.info("Upload complete", { uri: stored.uri });
+
+    // Cleanup
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      log.info("Cleanup complete");
+    } catch (cleanupError) {
+      log.warn("Cleanup warning", { error: cleanupError.message });
+    }
+
+    if (global.gc) {
+      global.gc();
+      log.info("Garbage collection triggered");
+    }
+
+    return {
+      body: {
+        success: true,
+        url: stored.publicUrl || stored.uri,
+        filename: outputFilename,
+        storage: stored,
+        duration: outputDuration !== null ? Math.round(outputDuration * 100) / 100 : null,
+      },
+    };
+  } catch (error) {
+    log.error("Concatenation failed", { error });
+
+    try {
+      if (tempDir) {
+        await fs.rm(tempDir, { recursive: true, force: true });
+        log.info("Cleanup on error complete");
+      }
+    } catch (cleanupError) {
+      log.error("Cleanup error", { error: cleanupError.message });
+    }
+
+    // REMOVIDO: pkill -9 ffmpeg (perigoso - mata jobs de outros requests)
+    // O timeout do runFfmpeg já cuida de processos travados
+
+    throw error;
+  }
+}
+
+// Encode de saída do concat (e das variantes): H.264 + AAC 48 kHz estéreo, 30 fps constantes
+function concatOutputArgs(crf = 23) {
+  return [
+    "-c:v", "libx264", "-preset", "ultrafast", "-crf", String(crf),
+    "-c:a", "aac", "-b:a", "128k", "-ar", "48000", "-ac", "2",
+    "-movflags", "+faststart",
+    "-pix_fmt", "yuv420p",
+    "-r", "30",
+    "-vsync", "cfr",
+    "-avoid_negative_ts", "make_zero",
+    "-threads", "0",
+  ];
+}
+
+// ============================================
+// HELPER: Bitrate, tamanho alvo (targetSizeMB) e downscale do /compress
+// ============================================
+const TARGET_SIZE_CONTAINER_OVERHEAD = 0.02; // ~2% do arquivo vai para o container (moov, headers)
+const TARGET_SIZE_MAX_ATTEMPTS = 3;
+const MIN_TARGET_VIDEO_BITRATE = 100000; // 100 kbps: abaixo disso o vídeo fica inutilizável
+
+// "800k", "5M", "2.5m", 128000 → bits por segundo (null se inválido)
+function parseBitrate(value) {
+  const match = /^(\d+(?:\.\d+)?)([kKmM]?)$/.exec(String(value).trim());
+  if (!match) return null;
+  const multiplier = { "": 1, k: 1e3, m: 1e6 }[match[2].toLowerCase()];
+  const bps = Math.round(parseFloat(match[1]) * multiplier);
+  return bps > 0 ? bps : null;
+}
+
+// Valida os parâmetros de encode do body. Erros viram 400 antes de criar o job.
+function resolveCompressEncoding({ maxBitrate = "5M", audioBitrate = "128k", codec = "libx264", targetSizeMB, maxWidth, maxHeight }) {
+  const maxBitrateBps = parseBitrate(maxBitrate);
+  const audioBitrateBps = parseBitrate(audioBitrate);
+  if (!maxBitrateBps) throw httpError(400, 'maxBitrate must be a bitrate like "800k" or "5M"');
+  if (!audioBitrateBps) throw httpError(400, 'audioBitrate must be a bitrate like "128k"');
+
+  if (targetSizeMB !== undefined) {
+    if (typeof targetSizeMB !== "number" || !(targetSizeMB > 0 && targetSizeMB <= 10240)) {
+      throw httpError(400, "targetSizeMB must be a number between 0 and 10240");
+    }
+    // -pass 1/2 do ffmpeg só vale para o libx264 aqui
+    if (codec !== "libx264") throw httpError(400, "targetSizeMB requires codec libx264");
+  }
+
+  for (const [name, value] of Object.entries({ maxWidth, maxHeight })) {
+    if (value !== undefined && !(Number.isInteger(value) && value >= 16 && value <= 8192)) {
+      throw httpError(400, `${name} must be an integer between 16 and 8192`);
+    }
+  }
+
+  return { maxBitrateBps, audioBitrateBps, targetSizeMB: targetSizeMB ?? null, maxWidth: maxWidth ?? null, maxHeight: maxHeight ?? null };
+}
+
+// Tamanho final (pares, mantendo o aspect ratio) para caber em maxWidth x maxHeight; nunca aumenta.
+function fitWithin({ width, height }, maxWidth, maxHeight) {
+  const factor = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+  if (factor === 1) return { width, height };
+  const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+  return { width: even(width * factor), height: even(height * factor) };
+}
+
+// Bitrate de vídeo para caber em targetSizeMB: orçamento total menos o áudio e o overhead do container
+function targetVideoBitrate(targetSizeMB, durationSeconds, audioBitrateBps) {
+  const totalBits = targetSizeMB * 1024 * 1024 * 8 * (1 - TARGET_SIZE_CONTAINER_OVERHEAD);
+  return Math.floor(totalBits / durationSeconds - audioBitrateBps);
+}
+
+// ============================================
+// ENDPOINT: /compress (STREAMING OTIMIZADO + CONCURRENCY LIMIT)
+// ============================================
+app.post("/compress", authenticateApiKey("compress"), acceptUploads, validateBody(COMPRESS_SCHEMA), (req, res) => {
+  startCompressJob(req, res, {
+    type: "compress",
+    label: uniqueName("compress"),
+    failure: "Compression failed",
+  });
+});
+
+// ============================================
+// ENDPOINT: /overlay (logo/texto avulso, mesmo pipeline do /compress)
+// ============================================
+app.post("/overlay", authenticateApiKey("overlay"), acceptUploads, validateBody(OVERLAY_SCHEMA), (req, res) => {
+  startCompressJob(req, res, {
+    type: "overlay",
+    label: uniqueName("overlay"),
+    failure: "Overlay failed",
+  });
+});
+
+// ============================================
+// ENDPOINT: /subtitles (burn-in avulso, mesmo pipeline do /compress)
+// ============================================
+app.post("/subtitles", authenticateApiKey("subtitles"), acceptUploads, validateBody(SUBTITLES_SCHEMA), (req, res) => {
+  startCompressJob(req, res, {
+    type: "subtitles",
+    label: uniqueName("subtitles"),
+    failure: "Subtitle burn-in failed",
+  });
+});
+
+const OUTPUT_CONTENT_TYPES = { mp4: "video/mp4", mov: "video/quicktime", mkv: "video/x-matroska" };
+
+// Campos antigos supabaseUrl/supabaseKey/outputPath = destino Supabase no bucket "videos"
+function legacySupabaseDestination({ supabaseUrl, supabaseKey, outputPath }) {
+  if (!(supabaseUrl && supabaseKey && outputPath)) return null;
+  return { driver: "supabase", bucket: "videos", url: supabaseUrl, serviceKey: supabaseKey, key: outputPath, upsert: false };
+}
+
+// Validação + job comum a /compress, /overlay e /subtitles: re-encode de um único vídeo,
+// com overlays/legendas opcionais, enviado ao storage de destino ou devolvido no corpo da resposta
+function startCompressJob(req, res, { type, label, failure }) {
+  let options;
+  try {
+    options = {
+      encoding: resolveCompressEncoding(req.body),
+      subtitles: resolveSubtitles(req.body.subtitles),
+      overlays: resolveOverlays(req.body.overlays),
+      destination: resolveJobDestination(req.body, legacySupabaseDestination(req.body)),
+    };
+    options.inputs = resolveJobInputs(req);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  // Sem destino de upload o vídeo volta no corpo da resposta, o que não existe em modo async
+  if (req.body.async === true && !options.destination) {
+    return res.status(400).json({ error: "async mode requires destination (or supabaseUrl, supabaseKey and outputPath)" });
+  }
+
+  runJob(req, res, {
+    type,
+    label,
+    run: (job) => compressJob(job, req.body, options),
+    failure,
+    respond: streamCompressedFile,
+  });
+}
+
+async function compressJob(job, body, { encoding, subtitles, overlays, destination, inputs }) {
+  const compressId = job.label;
+  const {
+    videoUrl,
+    outputFormat = "mp4",
+    crf = 23,
+    preset = "medium",
+    maxBitrate = "5M",
+    codec = "libx264",
+    audioCodec = "aac",
+    audioBitrate = "128k",
+  } = body;
+
+  log.info("Compression request", { ...(encoding.targetSizeMB !== null ? { targetSizeMB: encoding.targetSizeMB } : { crf, maxBitrate }), preset });
+
+  const tempDir = path.join("/tmp", compressId);
+
+  try {
+    await fs.mkdir(tempDir, { recursive: true });
+    log.info("Created temp dir", { tempDir });
+
+    const inputFile = path.join(tempDir, "input.mp4");
+    setJobStatus(job, "downloading");
+    log.info("Downloading input");
+
+    const downloadStartTime = Date.now();
+    
+    // STREAMING: Download direto para arquivo (não RAM)
+    await fetchInput(videoUrl, inputFile, 600000, {
+      signal: job.abortController.signal,
+      inputs,
+      headers: body.videoHeaders,
+      onProgress: ({ bytes, totalBytes }) => updateJobProgress(job, { bytes, totalBytes, percent: percentOf(bytes, totalBytes) }),
+    });
+
+    const downloadTime = ((Date.now() - downloadStartTime) / 1000).toFixed(2);
+    const inputStats = await fs.stat(inputFile);
+    const inputSizeMB = (inputStats.size / 1024 / 1024).toFixed(2);
+    log.info("Downloaded input", { sizeMB: Number(inputSizeMB), seconds: Number(downloadTime) });
+
+    const inputInfo = await probeInput(inputFile, "Input video");
+
+    const outputFile = path.join(tempDir, `compressed.${outputFormat}`);
+    setJobStatus(job, "encoding");
+
+    const compressStartTime = Date.now();
+    const inputDuration = inputInfo.duration;
+    const hasAudio = inputInfo.hasAudio;
+
+    // Downscale antes de overlays/legendas, para que eles sejam posicionados no tamanho final
+    const sourceSize = displaySize(inputInfo.video);
+    const canvas = fitWithin(sourceSize, encoding.maxWidth, encoding.maxHeight);
+
+    // Overlays/legendas: filtergraph sobre [0:v]; o áudio segue direto do input
+    const filters = [];
+    let videoLabel = "[0:v]";
+    if (canvas.width !== sourceSize.width || canvas.height !== sourceSize.height) {
+      log.info("Downscaling", { from: `${sourceSize.width}x${sourceSize.height}`, to: `${canvas.width}x${canvas.height}` });
+      filters.push(`${videoLabel}scale=${canvas.width}:${canvas.height},setsar=1[vscaled]`);
+      videoLabel = "[vscaled]";
+    }
+    const preparedOverlays = overlays ? await prepareOverlays(overlays, tempDir, 1, { signal: job.abortController.signal, inputs }) : [];
+    if (overlays) {
+      const overlayGraph = buildOverlayFilters(videoLabel, preparedOverlays, canvas);
+      filters.push(...overlayGraph.filters);
+      videoLabel = overlayGraph.video;
+    }
+    if (subtitles) {
+      const subtitlesFile = await prepareSubtitles(subtitles, canvas, tempDir, { signal: job.abortController.signal, inputs });
+      filters.push(`${videoLabel}${buildSubtitlesFilter(subtitlesFile)}[vsub]`);
+      videoLabel = "[vsub]";
+    }
+
+    const inputArgs = ["-hide_banner", "-loglevel", "error", "-progress", "pipe:1", "-nostats", "-i", inputFile];
+    if (filters.length > 0) {
+      const filterScriptPath = path.join(tempDir, "filtergraph.txt");
+      await fs.writeFile(filterScriptPath, filters.join(";\n"));
+      inputArgs.push(
+        ...preparedOverlays.filter((o) => o.inputIndex !== null).flatMap((o) => ["-i", o.file]),
+        "-filter_complex_script", filterScriptPath,
+        "-map", videoLabel, "-map", "0:a?",
+      );
+    }
 
-  url.searchParams.append("X-Amz-Signature", signature);
+    const outputArgs = [
+      "-c:a", audioCodec, "-b:a", String(audioBitrate),
+      "-ar", "48000", "-ac", "2",
+      "-vsync", "cfr",
+      "-fflags", "+genpts",
+      "-avoid_negative_ts", "make_zero",
+      "-movflags", "+faststart",
+      "-y", outputFile,
+    ];
 
-  return url.toString();
-}
+    let target = null;
 
-// ============================================
-// ENDPOINT: /concatenate (STREAMING OTIMIZADO + CONCURRENCY LIMIT)
-// ============================================
-app.post("/concatenate", authenticateApiKey, async (req, res) => {
-  const projectId = req.body.projectId || `project-${Date.now()}`;
-  
-  try {
-    await withConcurrencyLimit(projectId, async () => {
-      const {
-        videoUrls,
-        outputFilename,
-        format,
-        r2AccountId,
-        r2AccessKeyId,
-        r2SecretAccessKey,
-      } = req.body;
-
-      console.log(`[${projectId}] 📥 Received request - Format: ${format}, Videos: ${videoUrls?.length}`);
-
-      if (!videoUrls || videoUrls.length < 2) {
-        return res.status(400).json({ error: "Needs at least 2 video URLs" });
-      }
-
-      // Definir dimensões baseado no formato
-      const formatDimensions = {
-        "9:16": { width: 1080, height: 1920 }, // Vertical
-        "1:1": { width: 1080, height: 1080 }, // Quadrado
-        "16:9": { width: 1920, height: 1080 }, // Horizontal
-      };
+    if (encoding.targetSizeMB === null) {
+      log.info("Compressing", { crf, preset });
 
-      const targetDimensions = formatDimensions[format] || formatDimensions["9:16"];
-      console.log(`[${projectId}] Target format: ${format} (${targetDimensions.width}x${targetDimensions.height})`);
+      const compressArgs = [
+        ...inputArgs,
+        "-c:v", codec, "-preset", preset, "-crf", String(crf),
+        "-maxrate", String(encoding.maxBitrateBps), "-bufsize", String(encoding.maxBitrateBps * 2),
+        ...outputArgs,
+      ];
 
-      const tempDir = path.join("/tmp", `project-${projectId}-${Date.now()}`);
+      await runFfmpeg(compressArgs, {
+        timeout: 900000,
+        signal: job.abortController.signal,
+        durationSeconds: inputDuration,
+        onProgress: (progress) => updateJobProgress(job, progress),
+      });
+    } else {
+      // ============================================
+      // TAMANHO ALVO: two-pass com bitrate calculado pela duração
+      // ============================================
+      if (!inputDuration) {
+        throw httpError(422, "Input video has an unknown duration, targetSizeMB cannot be used");
+      }
 
-      try {
-        // Create temp directory
-        await fs.mkdir(tempDir, { recursive: true });
-        console.log(`[${projectId}] Created temp dir: ${tempDir}`);
+      const targetBytes = Math.floor(encoding.targetSizeMB * 1024 * 1024);
+      const audioBudget = hasAudio ? encoding.audioBitrateBps : 0;
+      let videoBitrate = targetVideoBitrate(encoding.targetSizeMB, inputDuration, audioBudget);
+      if (videoBitrate < MIN_TARGET_VIDEO_BITRATE) {
+        throw httpError(422, `targetSizeMB ${encoding.targetSizeMB} is too small for a ${inputDuration.toFixed(1)}s video`);
+      }
 
-        // STREAMING: Download all videos direto para arquivo (não RAM)
-        const downloadedFiles = [];
-        for (let i = 0; i < videoUrls.length; i++) {
-          const url = videoUrls[i];
-          const filename = `video-${i}.mp4`;
-          const filepath = path.join(tempDir, filename);
+      const passLogFile = path.join(tempDir, "x264-pass");
+      log.info("Two-pass encode for target size", { targetSizeMB: encoding.targetSizeMB, videoKbps: Math.round(videoBitrate / 1000), audioKbps: Math.round(audioBudget / 1000) });
 
-          console.log(`[${projectId}] 📥 Downloading video ${i + 1}/${videoUrls.length} via streaming...`);
+      // Pass 1 só gera as estatísticas; o bitrate do pass 2 pode mudar nos retries sem refazer o pass 1
+      await runFfmpeg(
+        [
+          ...inputArgs,
+          "-c:v", codec, "-preset", preset, "-b:v", String(videoBitrate), "-pass", "1", "-passlogfile", passLogFile,
+          "-an", "-f", "null", "/dev/null",
+        ],
+        {
+          timeout: 900000,
+          signal: job.abortController.signal,
+          durationSeconds: inputDuration,
+          onProgress: (progress) => updateJobProgress(job, { ...progress, pass: 1, percent: progress.percent !== null ? progress.percent / 2 : null }),
+        },
+      );
 
-          const downloadStartTime = Date.now();
+      let attempts = 0;
+      let outputSize = 0;
+      let encodedBitrate = videoBitrate; // o do último pass 2 (é o que a resposta informa)
+      while (attempts < TARGET_SIZE_MAX_ATTEMPTS) {
+        attempts++;
+        encodedBitrate = videoBitrate;
+        await runFfmpeg(
+          [
+            ...inputArgs,
+            "-c:v", codec, "-preset", preset,
+            "-b:v", String(videoBitrate), "-maxrate", String(videoBitrate), "-bufsize", String(videoBitrate * 2),
+            "-pass", "2", "-passlogfile", passLogFile,
+            ...outputArgs,
+          ],
+          {
+            timeout: 900000,
+            signal: job.abortController.signal,
+            durationSeconds: inputDuration,
+            onProgress: (progress) => updateJobProgress(job, { ...progress, pass: 2, attempt: attempts, percent: progress.percent !== null ? 50 + progress.percent / 2 : null }),
+          },
+        );
 
-          try {
-            await downloadToFile(url, filepath, 600000); // 10 min timeout
-            
-            const downloadTime = ((Date.now() - downloadStartTime) / 1000).toFixed(2);
-            const stats = await fs.stat(filepath);
-            const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
+        outputSize = (await fs.stat(outputFile)).size;
+        if (outputSize <= targetBytes || attempts >= TARGET_SIZE_MAX_ATTEMPTS) break;
 
-            console.log(`[${projectId}] ✅ Downloaded: ${filename} (${sizeMB} MB in ${downloadTime}s)`);
+        // Estourou: reduz o bitrate na proporção do excesso (+5% de folga) e refaz o pass 2
+        const previousBitrate = videoBitrate;
+        videoBitrate = Math.floor(videoBitrate * (targetBytes / outputSize) * 0.95);
+        if (videoBitrate < MIN_TARGET_VIDEO_BITRATE) break;
+        log.warn("Output above target size, retrying at a lower bitrate", {
+          sizeMB: Number((outputSize / 1024 / 1024).toFixed(2)),
+          targetSizeMB: encoding.targetSizeMB,
+          videoKbps: Math.round(videoBitrate / 1000),
+          previousVideoKbps: Math.round(previousBitrate / 1000),
+        });
+      }
 
-            if (stats.size > 200 * 1024 * 1024) {
-              console.warn(`[${projectId}] ⚠️ Large file detected (${sizeMB} MB). Processing may take longer.`);
-            }
+      target = {
+        targetSizeMB: encoding.targetSizeMB,
+        targetSize: targetBytes,
+        fitsTarget: outputSize <= targetBytes,
+        videoBitrate: encodedBitrate,
+        attempts,
+      };
+      if (!target.fitsTarget) {
+        log.warn("Could not reach target size", { targetSizeMB: encoding.targetSizeMB, attempts });
+      }
+    }
 
-            downloadedFiles.push(filepath);
-          } catch (downloadError) {
-            console.error(`[${projectId}] ❌ Download failed for video ${i + 1}:`, downloadError.message);
-            throw new Error(`Failed to download video ${i + 1}: ${downloadError.message}`);
-          }
-        }
+    const compressTime = ((Date.now() - compressStartTime) / 1000).toFixed(2);
+    const outputStats = await fs.stat(outputFile);
+    const outputSizeMB = (outputStats.size / 1024 / 1024).toFixed(2);
+    const compressionRatio = ((1 - outputStats.size / inputStats.size) * 100).toFixed(1);
 
-        // ============================================
-        // CONCATENAÇÃO: Preparar vídeos já normalizados
-        // ============================================
-        console.log(`[${projectId}] 📝 Preparando ${downloadedFiles.length} vídeos normalizados para concatenação...`);
-
-        // Create concat file for FFmpeg using downloaded files
-        const concatFilePath = path.join(tempDir, "concat.txt");
-        const concatContent = downloadedFiles.map((f) => `file '${f}'`).join("\n");
-        await fs.writeFile(concatFilePath, concatContent);
-        console.log(`[${projectId}] 📝 Created concat file with ${downloadedFiles.length} videos`);
-
-        // ============================================
-        // CONCATENAÇÃO HÍBRIDA (stream copy → re-encode se falhar)
-        // ============================================
-        const outputPath = path.join(tempDir, outputFilename);
-        console.log(`[${projectId}] 🎬 Concatenando ${downloadedFiles.length} vídeos...`);
-
-        let concatSuccess = false;
-        let concatTime = 0;
-
-        // ⚠️ Stream copy desabilitado: causava travamento de imagem na transição
-        // (gancho→corpo) quando timebase/sample-rate dos inputs divergiam minimamente.
-        // Sempre fazer re-encode sincronizado para garantir A/V sync perfeito.
-        console.log(`[${projectId}] 🎯 Using safe concat with perfect A/V sync (forced re-encode)`);
-        const reencodeCommand = `ffmpeg -hide_banner -loglevel error -f concat -safe 0 -i "${concatFilePath}" \
-          -c:v libx264 -preset ultrafast -crf 23 \
-          -c:a aac -b:a 128k -ar 48000 -ac 2 \
-          -af "aresample=async=1:first_pts=0" \
-          -vf "fps=30" \
-          -movflags +faststart \
-          -pix_fmt yuv420p \
-          -r 30 \
-          -vsync cfr \
-          -async 1 \
-          -avoid_negative_ts make_zero \
-          -fflags +genpts \
-          -threads 0 \
-          -y "${outputPath}"`;
+    log.info("Compressed", {
+      inputSizeMB: Number(inputSizeMB),
+      outputSizeMB: Number(outputSizeMB),
+      seconds: Number(compressTime),
+      reductionPercent: Number(compressionRatio),
+    });
 
-        try {
-          const concatStartTime = Date.now();
-          await execAsync(reencodeCommand, { timeout: 600000 }); // 10 min timeout
-          concatTime = ((Date.now() - concatStartTime) / 1000).toFixed(2);
-          concatSuccess = true;
-          console.log(`[${projectId}] ✅ Re-encode sincronizado completo em ${concatTime}s!`);
-        } catch (reencodeError) {
-          console.error(`[${projectId}] ❌ Re-encode falhou:`, reencodeError.message);
-          throw reencodeError;
-        }
+    const summary = {
+      originalSize: inputStats.size,
+      compressedSize: outputStats.size,
+      compressionRatio: parseFloat(compressionRatio),
+      processingTime: parseFloat(compressTime),
+      width: canvas.width,
+      height: canvas.height,
+      ...target,
+    };
 
-        
-        // Validar output final
-        if (!concatSuccess) {
-          throw new Error('Ambas tentativas de concatenação falharam');
-        }
-        
-        const outputStats = await fs.stat(outputPath);
-        const sizeMB = (outputStats.size / 1024 / 1024).toFixed(2);
-        console.log(`[${projectId}] 📦 Vídeo final: ${sizeMB} MB (tempo: ${concatTime}s)`);
-        
-        if (outputStats.size < 1000) {
-          throw new Error(`Output video muito pequeno (${outputStats.size} bytes)`);
-        }
+    if (!destination) {
+      // O tempDir é limpo por streamCompressedFile depois de enviar o arquivo
+      return { body: { success: true, ...summary }, outputFile, outputFormat, tempDir };
+    }
 
-        // STREAMING: Upload to Cloudflare R2 via stream (não carregar em RAM)
-        console.log(`[${projectId}] 📤 Uploading to R2 via streaming...`);
+    setJobStatus(job, "uploading");
+    log.info("Uploading result", { driver: destination.driver });
 
-        const storagePath = req.body.storagePath || `${projectId}/${outputFilename}`;
+    // STREAMING: Upload via stream (não fs.readFile)
+    const stored = await storeFile(destination, outputFile, {
+      defaultKey: `compressed/${compressId}.${outputFormat}`,
+      contentType: OUTPUT_CONTENT_TYPES[outputFormat],
+      signal: job.abortController.signal,
+      onProgress: ({ bytes, totalBytes }) => updateJobProgress(job, { bytes, totalBytes, percent: percentOf(bytes, totalBytes) }),
+    });
 
-        if (!r2AccountId || !r2AccessKeyId || !r2SecretAccessKey) {
-          throw new Error("R2 credentials not provided in request");
-        }
+    log.info("Upload complete", { uri: stored.uri });
 
-        const bucket = "video-parts-upload";
-        const r2Endpoint = `https://${r2AccountId}.r2.cloudflarestorage.com`;
-        const region = "auto";
+    await fs.rm(tempDir, { recursive: true, force: true });
+    log.info("Cleanup complete");
 
-        console.log(`[${projectId}] Generating signed URL for R2 path: ${storagePath}`);
+    return {
+      body: {
+        success: true,
+        outputPath: stored.key,
+        url: stored.publicUrl || stored.uri,
+        storage: stored,
+        ...summary,
+      },
+    };
+  } catch (error) {
+    log.error("Compression failed", { error });
 
-        const signedUrl = await generateR2SignedUrl(
-          r2Endpoint,
-          bucket,
-          storagePath,
-          r2AccessKeyId,
-          r2SecretAccessKey,
-          region,
-          "PUT",
-        );
+    try {
+      if (tempDir) {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    } catch (cleanupError) {
+      log.error("Cleanup error", { error: cleanupError.message });
+    }
 
-        console.log(`[${projectId}] Uploading to R2 with streaming...`);
-        
-        // STREAMING: Upload via stream (não fs.readFile)
-        await uploadFileStreamToR2(signedUrl, outputPath, 'video/mp4');
+    throw error;
+  }
+}
 
-        console.log(`[${projectId}] ✅ R2 upload complete!`);
+// STREAMING: Retornar via stream (não base64 em RAM)
+function streamCompressedFile(res, outcome) {
+  if (!outcome.outputFile) {
+    return res.json(outcome.body);
+  }
 
-        const publicUrl = `r2://${bucket}/${storagePath}`;
+  const { originalSize, compressedSize, compressionRatio, processingTime, targetSize, fitsTarget } = outcome.body;
 
-        // Cleanup
-        try {
-          await fs.rm(tempDir, { recursive: true, force: true });
-          console.log(`[${projectId}] ✅ Cleanup complete`);
-        } catch (cleanupError) {
-          console.error(`[${projectId}] Cleanup warning:`, cleanupError.message);
-        }
+  if (targetSize !== undefined) {
+    res.set({ 'X-Target-Size': targetSize.toString(), 'X-Fits-Target': fitsTarget.toString() });
+  }
 
-        if (global.gc) {
-          global.gc();
-          console.log(`[${projectId}] Garbage collection triggered`);
-        }
+  res.set({
+    'Content-Type': OUTPUT_CONTENT_TYPES[outcome.outputFormat],
+    'Content-Length': compressedSize,
+    'X-Processing-Time': processingTime.toString(),
+    'X-Original-Size': originalSize.toString(),
+    'X-Compressed-Size': compressedSize.toString(),
+    'X-Compression-Ratio': compressionRatio.toFixed(1)
+  });
 
-        return res.json({
-          success: true,
-          url: publicUrl,
-          filename: outputFilename,
-        });
-      } catch (error) {
-        console.error(`[${projectId}] Error:`, error);
+  // Cleanup robusto
+  const cleanup = async () => {
+    try {
+      await fs.rm(outcome.tempDir, { recursive: true, force: true });
+    } catch (e) {}
+  };
 
-        try {
-          if (tempDir) {
-            await fs.rm(tempDir, { recursive: true, force: true });
-            console.log(`[${projectId}] Cleanup on error complete`);
-          }
-        } catch (cleanupError) {
-          console.error(`[${projectId}] Cleanup error:`, cleanupError.message);
-        }
+  const fileStream = fsSync.createReadStream(outcome.outputFile);
+  fileStream.pipe(res);
+
+  fileStream.on('end', () => {
+    incCounter("ffmpeg_server_output_bytes_total", { destination: "response" }, compressedSize);
+    cleanup();
+  });
+  fileStream.on('error', async (err) => {
+    log.error("Stream error", { tempDir: path.basename(outcome.tempDir), error: err });
+    await cleanup();
+  });
+  res.on('close', async () => {
+    fileStream.destroy();
+    await cleanup();
+  });
+}
 
-        // REMOVIDO: pkill -9 ffmpeg (perigoso - mata jobs de outros requests)
-        // O timeout do execAsync já cuida de processos travados
+// ============================================
+// ENDPOINT: /generate-zip (STREAMING COM ARCHIVER + CONCURRENCY LIMIT)
+// ============================================
+// r2Config antigo = destino R2 com URL pública no domínio pub-*.r2.dev
+function legacyZipDestination({ r2Config }) {
+  if (!r2Config) return null;
+  return {
+    driver: "r2",
+    bucket: r2Config.bucketName,
+    accountId: r2Config.accountId,
+    accessKeyId: r2Config.accessKeyId,
+    secretAccessKey: r2Config.secretAccessKey,
+    publicBaseUrl: `https://pub-93cb8cc35ae64cf69f0ea248148ad1b2.r2.dev/${r2Config.bucketName}`,
+  };
+}
 
-        return res.status(500).json({
-          error: "Concatenation failed",
-          details: error.message,
-        });
-      }
-    });
-  } catch (concurrencyError) {
-    console.error(`[${projectId}] Concurrency error:`, concurrencyError.message);
-    return res.status(503).json({
-      error: "Server busy",
-      details: concurrencyError.message,
-    });
+app.post('/generate-zip', authenticateApiKey("generate-zip"), acceptUploads, validateBody(GENERATE_ZIP_SCHEMA), (req, res) => {
+  // Rótulo do job (logs e chave padrão no storage); o ID do job é job.id
+  const label = req.body.projectId || uniqueName("zip");
+
+  let destination;
+  let inputs;
+  try {
+    destination = resolveJobDestination(req.body, legacyZipDestination(req.body));
+    inputs = resolveJobInputs(req);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
   }
+  if (!destination) {
+    return res.status(400).json({ error: "destination (or r2Config) is required" });
+  }
+
+  runJob(req, res, {
+    type: "generate-zip",
+    label,
+    run: (job) => generateZipJob(job, req.body, { destination, inputs }),
+    failure: "ZIP generation failed",
+  });
 });
 
-// ============================================
-// ENDPOINT: /compress (STREAMING OTIMIZADO + CONCURRENCY LIMIT)
-// ============================================
-app.post("/compress", authenticateApiKey, async (req, res) => {
-  const compressId = `compress-${Date.now()}`;
+async function generateZipJob(job, body, { destination, inputs }) {
+  const startTime = Date.now();
+  const tempFiles = [];
+  let zipPath = null;
+  const { videos, userId, productCode } = body;
   
   try {
-    await withConcurrencyLimit(compressId, async () => {
-      const {
-        videoUrl,
-        outputFormat = "mp4",
-        crf = 23,
-        preset = "medium",
-        maxBitrate = "5M",
-        codec = "libx264",
-        audioCodec = "aac",
-        audioBitrate = "128k",
-        supabaseUrl,
-        supabaseKey,
-        outputPath: targetOutputPath,
-      } = req.body;
+    log.info("Generating ZIP", { videos: videos.length });
 
-      console.log(`🗜️ Compression request: CRF=${crf}, preset=${preset}, maxBitrate=${maxBitrate}`);
-
-      if (!videoUrl) {
-        return res.status(400).json({ error: "videoUrl is required" });
-      }
+    // FASE 1: Download de vídeos via streaming (não RAM)
+    setJobStatus(job, "downloading");
+    log.info("Phase 1: downloading videos");
+    const downloadResults = [];
+    const batchSize = 5;
+    const reportDownloads = () => updateJobProgress(job, {
+      itemsDone: downloadResults.length,
+      items: videos.length,
+      percent: percentOf(downloadResults.length, videos.length),
+    });
+    
+    for (let i = 0; i < videos.length; i += batchSize) {
+      const batch = videos.slice(i, i + batchSize);
+      log.info("Download batch", { batch: Math.floor(i / batchSize) + 1, from: i + 1, to: Math.min(i + batchSize, videos.length) });
+      
+      const batchPromises = batch.map(async (video, idx) => {
+        const tempPath = path.join('/tmp', `${uniqueName("video", "_")}_${i + idx}.mp4`);
+        try {
+          await fetchInput(video.url, tempPath, 300000, { signal: job.abortController.signal, inputs, headers: video.headers });
+          const stats = await fs.stat(tempPath);
+          tempFiles.push(tempPath);
+          log.info("Downloaded video", { filename: video.filename, sizeMB: Number((stats.size / 1024 / 1024).toFixed(2)) });
+          return { success: true, video, tempPath, size: stats.size };
+        } catch (error) {
+          log.error("Download failed", { filename: video.filename, error: error.message });
+          await fs.unlink(tempPath).catch(() => {});
+          return { success: false, video, error: error.message };
+        }
+      });
+      
+      const results = await Promise.all(batchPromises);
+      downloadResults.push(...results);
+      reportDownloads();
+    }
+    
+    const successfulDownloads = downloadResults.filter(r => r.success);
+    const failedDownloads = downloadResults.filter(r => !r.success);
+    
+    if (failedDownloads.length > 0) {
+      log.warn("Some videos failed to download", { failed: failedDownloads.length });
+    }
+    
+    if (successfulDownloads.length === 0) {
+      throw new Error('No video was downloaded successfully');
+    }
 
-      const uploadToSupabase = supabaseUrl && supabaseKey && targetOutputPath;
+    log.info("Videos downloaded", { succeeded: successfulDownloads.length, total: videos.length });
 
-      const tempDir = path.join("/tmp", compressId);
+    // FASE 2: Criar ZIP via streaming com archiver (não JSZip em RAM)
+    setJobStatus(job, "encoding");
+    log.info("Phase 2: creating ZIP");
+    
+    zipPath = path.join('/tmp', `${uniqueName("zip", "_")}.zip`);
+    const zipOutput = fsSync.createWriteStream(zipPath);
+    const archive = archiver('zip', { store: true }); // Sem compressão = mais rápido
+    
+    archive.pipe(zipOutput);
+    archive.on('progress', ({ fs: { processedBytes, totalBytes } }) =>
+      updateJobProgress(job, { bytes: processedBytes, totalBytes, percent: percentOf(processedBytes, totalBytes) }));
+    
+    for (const { video, tempPath } of successfulDownloads) {
+      const cleanFilename = video.filename.replace(/[^a-zA-Z0-9._-]/g, '_');
+      archive.file(tempPath, { name: cleanFilename });
+    }
+    
+    await archive.finalize();
+    
+    // Aguardar arquivo ser escrito
+    await new Promise((resolve, reject) => {
+      zipOutput.on('close', resolve);
+      zipOutput.on('error', reject);
+    });
+    
+    const zipStats = await fs.stat(zipPath);
+    const zipSizeBytes = zipStats.size;
+    log.info("ZIP created", { sizeMB: Number((zipSizeBytes / 1024 / 1024).toFixed(2)) });
 
-      try {
-        await fs.mkdir(tempDir, { recursive: true });
-        console.log(`[${compressId}] Created temp dir: ${tempDir}`);
+    // FASE 3: Upload para o storage de destino via streaming
+    setJobStatus(job, "uploading");
+    log.info("Phase 3: uploading ZIP", { driver: destination.driver });
+    
+    const timestamp = Date.now();
+    const filename = `${productCode}_videos_${timestamp}.zip`;
 
-        const inputFile = path.join(tempDir, "input.mp4");
-        console.log(`[${compressId}] 📥 Downloading via streaming...`);
+    const stored = await storeFile(destination, zipPath, {
+      defaultKey: `zips/${job.label}/${filename}`,
+      contentType: "application/zip",
+      signal: job.abortController.signal,
+      onProgress: ({ bytes, totalBytes }) => updateJobProgress(job, { bytes, totalBytes, percent: percentOf(bytes, totalBytes) }),
+    });
 
-        const downloadStartTime = Date.now();
-        
-        // STREAMING: Download direto para arquivo (não RAM)
-        await downloadToFile(videoUrl, inputFile, 600000);
+    log.info("ZIP uploaded", { uri: stored.uri });
 
-        const downloadTime = ((Date.now() - downloadStartTime) / 1000).toFixed(2);
-        const inputStats = await fs.stat(inputFile);
-        const inputSizeMB = (inputStats.size / 1024 / 1024).toFixed(2);
-        console.log(`[${compressId}] ✅ Downloaded: ${inputSizeMB} MB in ${downloadTime}s`);
-
-        const outputFile = path.join(tempDir, `compressed.${outputFormat}`);
-        console.log(`[${compressId}] 🗜️ Compressing with CRF=${crf}, preset=${preset}...`);
-
-        const compressStartTime = Date.now();
-        const compressCommand = `ffmpeg -hide_banner -loglevel error -i "${inputFile}" \
-          -c:v ${codec} -preset ${preset} -crf ${crf} \
-          -maxrate ${maxBitrate} -bufsize ${parseInt(maxBitrate) * 2}M \
-          -c:a ${audioCodec} -b:a ${audioBitrate} \
-          -ar 48000 -ac 2 \
-          -vsync cfr \
-          -fflags +genpts \
-          -avoid_negative_ts make_zero \
-          -movflags +faststart \
-          -y "${outputFile}"`;
-
-        await execAsync(compressCommand, {
-          maxBuffer: 100 * 1024 * 1024,
-          timeout: 900000,
-        });
+    // FASE 4: Limpeza
+    log.info("Phase 4: removing temp files");
+    for (const tempFile of tempFiles) {
+      await fs.unlink(tempFile).catch(() => {});
+    }
+    await fs.unlink(zipPath).catch(() => {});
 
-        const compressTime = ((Date.now() - compressStartTime) / 1000).toFixed(2);
-        const outputStats = await fs.stat(outputFile);
-        const outputSizeMB = (outputStats.size / 1024 / 1024).toFixed(2);
-        const compressionRatio = ((1 - outputStats.size / inputStats.size) * 100).toFixed(1);
+    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    log.info("ZIP job complete", { seconds: Number(processingTime) });
 
-        console.log(
-          `[${compressId}] ✅ Compressed: ${inputSizeMB}MB → ${outputSizeMB}MB in ${compressTime}s (${compressionRatio}% reduction)`,
-        );
+    return {
+      body: {
+        success: true,
+        r2Path: stored.uri,
+        publicUrl: stored.publicUrl,
+        storage: stored,
+        size: zipSizeBytes,
+        videosProcessed: successfulDownloads.length,
+        videosFailed: failedDownloads.length,
+        processingTimeSeconds: parseFloat(processingTime)
+      },
+    };
 
-        if (uploadToSupabase) {
-          console.log(`[${compressId}] 📤 Uploading to Supabase via streaming: ${targetOutputPath}`);
-
-          // STREAMING: Upload via stream (não fs.readFile)
-          const supabaseUploadUrl = `${supabaseUrl}/storage/v1/object/videos/${targetOutputPath}`;
-          
-          await new Promise((resolve, reject) => {
-            const stats = fsSync.statSync(outputFile);
-            const fileStream = fsSync.createReadStream(outputFile);
-            const url = new URL(supabaseUploadUrl);
-            
-            const options = {
-              method: 'POST',
-              hostname: url.hostname,
-              path: url.pathname,
-              headers: {
-                'Authorization': `Bearer ${supabaseKey}`,
-                'Content-Type': 'video/mp4',
-                'Content-Length': stats.size,
-                'x-upsert': 'false'
-              },
-              timeout: 600000
-            };
-            
-            const req = https.request(options, (res) => {
-              let data = '';
-              res.on('data', chunk => data += chunk);
-              res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                  resolve(data);
-                } else {
-                  reject(new Error(`Supabase upload failed: ${res.statusCode} - ${data}`));
-                }
-              });
-            });
-            
-            req.on('error', (err) => {
-              fileStream.destroy();
-              reject(err);
-            });
-            
-            req.on('timeout', () => {
-              req.destroy();
-              fileStream.destroy();
-              reject(new Error('Upload timeout'));
-            });
-            
-            fileStream.pipe(req);
-            
-            fileStream.on('error', (err) => {
-              req.destroy();
-              reject(err);
-            });
-          });
+  } catch (error) {
+    log.error("ZIP generation failed", { error });
+    
+    // Limpeza em caso de erro
+    for (const tempFile of tempFiles) {
+      await fs.unlink(tempFile).catch(() => {});
+    }
+    if (zipPath) await fs.unlink(zipPath).catch(() => {});
+    
+    throw error;
+  }
+}
 
-          console.log(`[${compressId}] ✅ Upload complete`);
+// ============================================
+// ENDPOINT: /variants (matriz de criativos gancho × corpo × CTA)
+// ============================================
+// `groups` nomeia listas de clipes ({ hook: [...], body: [...], cta: [...] }) e `order` a
+// sequência (padrão: ordem das chaves). Sem `combinations` renderiza o produto cartesiano.
+// Cada arquivo é baixado uma vez e cada clipe distinto (URL + trim/speed/volume) é
+// normalizado uma vez para o canvas; as variantes só juntam os clipes normalizados.
+const VARIANT_NORMALIZE_CRF = 18; // intermediário: perde o mínimo antes do encode final
 
-          await fs.rm(tempDir, { recursive: true, force: true });
-          console.log(`[${compressId}] ✅ Cleanup complete`);
+// Retorna { order, variants: [{ index, picks: [{ group, name, clip }], filename }] } ou lança erro 400
+function resolveVariants(body, projectId) {
+  const { groups } = body;
+  const order = body.order ?? Object.keys(groups);
+  if (order.length < 2 || order.length > MAX_VARIANT_GROUPS) {
+    throw httpError(400, `order (or groups) must have between 2 and ${MAX_VARIANT_GROUPS} groups`);
+  }
+  for (const [i, group] of order.entries()) {
+    if (!groups[group]) throw httpError(400, `order[${i}]: unknown group ${group}`);
+    if (order.indexOf(group) !== i) throw httpError(400, `order[${i}]: group ${group} is listed twice`);
+  }
+  const unused = Object.keys(groups).find((group) => !order.includes(group));
+  if (unused) throw httpError(400, `groups.${unused} is not listed in order`);
 
-          res.json({
-            success: true,
-            outputPath: targetOutputPath,
-            originalSize: inputStats.size,
-            compressedSize: outputStats.size,
-            compressionRatio: parseFloat(compressionRatio),
-            processingTime: parseFloat(compressTime),
-          });
-        } else {
-          // STREAMING: Retornar via stream (não base64 em RAM)
-          const processingTime = parseFloat(compressTime);
-
-          res.set({
-            'Content-Type': 'video/mp4',
-            'Content-Length': outputStats.size,
-            'X-Processing-Time': processingTime.toString(),
-            'X-Original-Size': inputStats.size.toString(),
-            'X-Compressed-Size': outputStats.size.toString(),
-            'X-Compression-Ratio': compressionRatio
-          });
+  // Clipes de cada grupo com o nome usado no template (name ou posição 1-based)
+  const choices = Object.fromEntries(order.map((group) => {
+    const clips = resolveClips(groups[group], `groups.${group}`).map((clip, i) => ({
+      group,
+      name: groups[group][i].name ?? String(i + 1),
+      clip,
+    }));
+    const names = clips.map((choice) => choice.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) throw httpError(400, `groups.${group}: clip name ${duplicate} is used twice`);
+    return [group, clips];
+  }));
 
-          // Cleanup robusto
-          const cleanup = async () => {
-            try {
-              await fs.rm(tempDir, { recursive: true, force: true });
-            } catch (e) {}
-          };
+  let combinations;
+  if (body.combinations) {
+    combinations = body.combinations.map((combination, i) => order.map((group) => {
+      const pick = combination[group];
+      // Posição a partir de 1, como os nomes padrão: { hook: 2 } e { hook: "2" } são o mesmo clipe sem name
+      const choice = typeof pick === "number" ? choices[group][pick - 1] : choices[group].find((c) => c.name === pick);
+      if (pick === undefined) throw httpError(400, `combinations[${i}] is missing group ${group}`);
+      if (!choice) throw httpError(400, `combinations[${i}].${group}: no clip ${pick} in the group`);
+      return choice;
+    }));
+    body.combinations.forEach((combination, i) => {
+      const extra = Object.keys(combination).find((group) => !order.includes(group));
+      if (extra) throw httpError(400, `combinations[${i}].${extra}: unknown group`);
+    });
+  } else {
+    const total = order.reduce((count, group) => count * choices[group].length, 1);
+    if (total > MAX_VARIANTS) {
+      throw httpError(400, `groups produce ${total} variants (max ${MAX_VARIANTS}); send combinations to pick a subset`);
+    }
+    combinations = order.reduce((partial, group) => partial.flatMap((picks) => choices[group].map((choice) => [...picks, choice])), [[]]);
+  }
 
-          const fileStream = fsSync.createReadStream(outputFile);
-          fileStream.pipe(res);
+  // {projectId}, {index} (1-based) e {<grupo>} (nome do clipe escolhido)
+  const template = body.outputFilename ?? `${order.map((group) => `${group}-{${group}}`).join("_")}.mp4`;
+  const filenamePattern = new RegExp(filenameSchema.pattern);
+  const variants = combinations.map((picks, i) => {
+    const values = { projectId, index: String(i + 1), ...Object.fromEntries(picks.map((p) => [p.group, p.name])) };
+    const filename = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (values[name] === undefined) throw httpError(400, `outputFilename: unknown placeholder ${placeholder}`);
+      return values[name];
+    });
+    if (!filenamePattern.test(filename)) throw httpError(400, `outputFilename: ${filename} is not a valid file name`);
+    return { index: i + 1, picks, filename };
+  });
+  const filenames = variants.map((variant) => variant.filename);
+  const duplicate = filenames.find((name, i) => filenames.indexOf(name) !== i);
+  if (duplicate) {
+    throw httpError(400, `outputFilename produces ${duplicate} more than once; add {index} or the group placeholders`);
+  }
 
-          fileStream.on('end', cleanup);
-          fileStream.on('error', async (err) => {
-            console.error(`[${compressId}] ❌ Stream error:`, err);
-            await cleanup();
-          });
-          res.on('close', async () => {
-            fileStream.destroy();
-            await cleanup();
-          });
-        }
-      } catch (error) {
-        console.error(`[${compressId}] ❌ Error:`, error);
+  return { order, variants };
+}
 
-        try {
-          if (tempDir) {
-            await fs.rm(tempDir, { recursive: true, force: true });
-          }
-        } catch (cleanupError) {
-          console.error(`[${compressId}] Cleanup error:`, cleanupError.message);
-        }
+app.post("/variants", authenticateApiKey("variants"), acceptUploads, validateBody(VARIANTS_SCHEMA), (req, res) => {
+  const projectId = req.body.projectId || uniqueName("variants");
 
-        res.status(500).json({
-          error: "Compression failed",
-          details: error.message,
-        });
-      }
-    });
-  } catch (concurrencyError) {
-    console.error(`[${compressId}] Concurrency error:`, concurrencyError.message);
-    return res.status(503).json({
-      error: "Server busy",
-      details: concurrencyError.message,
-    });
+  let options;
+  try {
+    const { order, variants } = resolveVariants(req.body, projectId);
+    options = {
+      order,
+      variants,
+      canvas: resolveCanvas(req.body),
+      transitions: resolveTransitions(req.body.transitions, order.length),
+      backgroundAudio: resolveBackgroundAudio(req.body.backgroundAudio),
+      subtitles: resolveSubtitles(req.body.subtitles),
+      overlays: resolveOverlays(req.body.overlays),
+      destination: resolveJobDestination(req.body),
+      zip: req.body.zip ? { filename: req.body.zip.filename || `${projectId}_variants.zip` } : null,
+    };
+    options.inputs = resolveJobInputs(req);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (!options.destination) {
+    return res.status(400).json({ error: "destination is required" });
+  }
+  if (options.destination.key && !options.zip) {
+    return res.status(400).json({ error: "destination.key names a single object: use storagePath as the folder for the variants, or zip: true" });
   }
+
+  log.info("Request received", { variants: options.variants.length, order: options.order });
+
+  runJob(req, res, {
+    type: "variants",
+    label: projectId,
+    run: (job) => variantsJob(job, req.body, options),
+    failure: "Variant rendering failed",
+  });
 });
 
-// ============================================
-// ENDPOINT: /generate-zip (STREAMING COM ARCHIVER + CONCURRENCY LIMIT)
-// ============================================
-app.post('/generate-zip', authenticateApiKey, async (req, res) => {
-  const { projectId } = req.body;
-  const jobId = projectId || `zip-${Date.now()}`;
-  
+async function variantsJob(job, body, { order, variants, canvas, transitions, backgroundAudio, subtitles, overlays, destination, zip, inputs }) {
+  const projectId = job.label;
+  const { signal } = job.abortController;
+  const tempDir = path.join("/tmp", uniqueName(`variants-${projectId}`));
+  const folder = body.storagePath || projectId;
+
+  // Arquivos distintos (URL + headers) e clipes distintos (arquivo + trim/speed/volume)
+  const sources = new Map();
+  const segments = new Map();
+  const variantSegments = variants.map(({ picks }) => picks.map(({ clip }) => {
+    const sourceKey = JSON.stringify([clip.url, clip.headers || {}]);
+    if (!sources.has(sourceKey)) {
+      sources.set(sourceKey, { url: clip.url, headers: clip.headers, file: path.join(tempDir, `source-${sources.size}`), probe: null, error: null });
+    }
+    const segmentKey = JSON.stringify([sourceKey, clip.start, clip.end ?? null, clip.speed, clip.volume, clip.muted]);
+    if (!segments.has(segmentKey)) {
+      segments.set(segmentKey, { clip, source: sources.get(sourceKey), file: path.join(tempDir, `segment-${segments.size}.mp4`), duration: null, error: null });
+    }
+    return segments.get(segmentKey);
+  }));
+
+  // Falha de um clipe derruba só as variantes que o usam; cancelamento derruba o job
+  const isolate = async (target, msg, fields, fn) => {
+    try {
+      await fn();
+    } catch (error) {
+      if (signal.aborted) throw error;
+      target.error = error.message;
+      log.error(msg, { ...fields, error: error.message });
+    }
+  };
+
   try {
-    await withConcurrencyLimit(jobId, async () => {
-      const startTime = Date.now();
-      const tempFiles = [];
-      let zipPath = null;
-      const { videos, userId, productCode, r2Config } = req.body;
-      
-      try {
-        if (!videos || !Array.isArray(videos) || videos.length === 0) {
-          return res.status(400).json({ error: 'Videos array is required' });
-        }
+    await fs.mkdir(tempDir, { recursive: true });
+    log.info("Variant plan", { variants: variants.length, sources: sources.size, segments: segments.size });
 
-        if (!r2Config || !r2Config.accountId || !r2Config.accessKeyId || !r2Config.secretAccessKey || !r2Config.bucketName) {
-          return res.status(400).json({ error: 'R2 config is required' });
-        }
+    setJobStatus(job, "downloading");
+    let item = 0;
+    for (const source of sources.values()) {
+      item++;
+      await isolate(source, "Download failed", { url: source.url }, async () => {
+        await fetchInput(source.url, source.file, 600000, {
+          signal,
+          inputs,
+          headers: source.headers,
+          onProgress: ({ bytes, totalBytes }) =>
+            updateJobProgress(job, { item, items: sources.size, bytes, totalBytes, percent: percentOf(bytes, totalBytes) }),
+        });
+        source.probe = await probeInput(source.file, source.url);
+      });
+    }
 
-        console.log(`📦 [${projectId}] Gerando ZIP para ${videos.length} vídeos (modo streaming)`);
+    let musicFile = null;
+    if (backgroundAudio) {
+      musicFile = path.join(tempDir, "background-audio");
+      try {
+        await fetchInput(backgroundAudio.url, musicFile, 600000, { signal, inputs, headers: backgroundAudio.headers });
+      } catch (downloadError) {
+        throw downloadFailure("Failed to download background audio", downloadError);
+      }
+      await probeInput(musicFile, "Background audio", { requireVideo: false, requireAudio: true });
+    }
 
-        // FASE 1: Download de vídeos via streaming (não RAM)
-        console.log(`📥 [${projectId}] Fase 1: Download de vídeos via streaming...`);
-        const downloadResults = [];
-        const batchSize = 5;
-        
-        for (let i = 0; i < videos.length; i += batchSize) {
-          const batch = videos.slice(i, i + batchSize);
-          console.log(`📦 [${projectId}] Batch ${Math.floor(i/batchSize) + 1}: vídeos ${i + 1}-${Math.min(i + batchSize, videos.length)}`);
-          
-          const batchPromises = batch.map(async (video, idx) => {
-            const tempPath = path.join('/tmp', `video_${Date.now()}_${i + idx}.mp4`);
-            try {
-              await downloadToFile(video.url, tempPath, 300000);
-              const stats = await fs.stat(tempPath);
-              tempFiles.push(tempPath);
-              console.log(`✅ [${projectId}] ${video.filename} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
-              return { success: true, video, tempPath, size: stats.size };
-            } catch (error) {
-              console.error(`❌ [${projectId}] ${video.filename}: ${error.message}`);
-              await fs.unlink(tempPath).catch(() => {});
-              return { success: false, video, error: error.message };
-            }
-          });
-          
-          const results = await Promise.all(batchPromises);
-          downloadResults.push(...results);
-        }
-        
-        const successfulDownloads = downloadResults.filter(r => r.success);
-        const failedDownloads = downloadResults.filter(r => !r.success);
-        
-        if (failedDownloads.length > 0) {
-          console.warn(`⚠️ [${projectId}] ${failedDownloads.length} vídeos falharam`);
+    // Normaliza cada clipe distinto uma vez (canvas, 30 fps, áudio 48 kHz estéreo, trim/speed/volume)
+    setJobStatus(job, "encoding");
+    item = 0;
+    for (const segment of segments.values()) {
+      item++;
+      const { clip, source } = segment;
+      if (source.error) {
+        segment.error = source.error;
+        continue;
+      }
+      await isolate(segment, "Normalize failed", { url: source.url }, async () => {
+        const sourceDuration = source.probe.duration;
+        if (sourceDuration !== null && clip.start >= sourceDuration) {
+          throw httpError(422, `start (${clip.start}s) is beyond the video duration (${sourceDuration.toFixed(2)}s)`);
         }
-        
-        if (successfulDownloads.length === 0) {
-          throw new Error('Nenhum vídeo foi baixado com sucesso');
+        const duration = clipOutputDuration(clip, sourceDuration);
+        if (!source.probe.hasAudio && duration === null) {
+          throw httpError(422, `${source.url} has no audio track and an unknown duration`);
         }
+        const { graph, video, audio } = buildConcatFilterGraph([{ ...clip, duration, hasAudio: source.probe.hasAudio }], canvas, []);
+        await runFfmpeg([
+          "-hide_banner", "-loglevel", "error", "-progress", "pipe:1", "-nostats", "-fflags", "+genpts",
+          ...clipInputArgs(clip), "-i", source.file,
+          "-filter_complex", graph,
+          "-map", video, "-map", audio,
+          ...concatOutputArgs(VARIANT_NORMALIZE_CRF),
+          "-y", segment.file,
+        ], {
+          timeout: 600000,
+          signal,
+          durationSeconds: duration,
+          onProgress: (progress) => updateJobProgress(job, { ...progress, stage: "normalize", item, items: segments.size }),
+        });
+        segment.duration = (await probeDuration(segment.file)) ?? duration;
+      });
+    }
 
-        console.log(`✅ [${projectId}] ${successfulDownloads.length}/${videos.length} vídeos baixados`);
+    const subtitlesFile = subtitles ? await prepareSubtitles(subtitles, canvas, tempDir, { signal, inputs }) : null;
+    const overlayInputIndex = order.length + (musicFile ? 1 : 0);
+    const preparedOverlays = overlays ? await prepareOverlays(overlays, tempDir, overlayInputIndex, { signal, inputs }) : null;
 
-        // FASE 2: Criar ZIP via streaming com archiver (não JSZip em RAM)
-        console.log(`🔄 [${projectId}] Fase 2: Criando ZIP via streaming...`);
-        
-        zipPath = path.join('/tmp', `zip_${Date.now()}.zip`);
-        const zipOutput = fsSync.createWriteStream(zipPath);
-        const archive = archiver('zip', { store: true }); // Sem compressão = mais rápido
-        
-        archive.pipe(zipOutput);
-        
-        for (const { video, tempPath } of successfulDownloads) {
-          const cleanFilename = video.filename.replace(/[^a-zA-Z0-9._-]/g, '_');
-          archive.file(tempPath, { name: cleanFilename });
-        }
-        
-        await archive.finalize();
-        
-        // Aguardar arquivo ser escrito
-        await new Promise((resolve, reject) => {
-          zipOutput.on('close', resolve);
-          zipOutput.on('error', reject);
-        });
-        
-        const zipStats = await fs.stat(zipPath);
-        const zipSizeBytes = zipStats.size;
-        console.log(`✅ [${projectId}] ZIP criado: ${(zipSizeBytes / 1024 / 1024).toFixed(2)} MB`);
+    // Cada variante: concat (ou transições) dos clipes já normalizados + trilha/overlays/legendas
+    const results = variants.map(({ index, picks, filename }) => ({
+      index,
+      filename,
+      clips: Object.fromEntries(picks.map(({ group, name }) => [group, name])),
+      success: false,
+      error: null,
+    }));
+    const outputs = new Map(); // index → arquivo renderizado
+    for (const [i, variant] of variants.entries()) {
+      const result = results[i];
+      const failedSegment = variantSegments[i].find((segment) => segment.error);
+      if (failedSegment) {
+        result.error = failedSegment.error;
+        continue;
+      }
+      await isolate(result, "Variant render failed", { filename: variant.filename }, async () => {
+        const clips = variantSegments[i].map((segment) => ({
+          url: segment.file, start: 0, speed: 1, volume: 1, muted: false, duration: segment.duration, hasAudio: true,
+        }));
+        const { graph, duration, video, audio } =
+          buildConcatFilterGraph(clips, canvas, transitions, { backgroundAudio, overlays: preparedOverlays, subtitlesFile });
+        const filterScriptPath = path.join(tempDir, `filtergraph-${variant.index}.txt`);
+        await fs.writeFile(filterScriptPath, graph);
 
-        // FASE 3: Upload para R2 via streaming
-        console.log(`☁️ [${projectId}] Fase 3: Upload para R2 via streaming...`);
-        
-        const timestamp = Date.now();
-        const filename = `${productCode}_videos_${timestamp}.zip`;
-        const r2Path = `zips/${projectId}/${filename}`;
-        
-        const r2Endpoint = `https://${r2Config.accountId}.r2.cloudflarestorage.com`;
-        const signedUrl = await generateR2SignedUrl(
-          r2Endpoint,
-          r2Config.bucketName,
-          r2Path,
-          r2Config.accessKeyId,
-          r2Config.secretAccessKey,
-          'auto',
-          'PUT'
-        );
+        const outputPath = path.join(tempDir, `variant-${variant.index}.mp4`);
+        await runFfmpeg([
+          "-hide_banner", "-loglevel", "error", "-progress", "pipe:1", "-nostats", "-fflags", "+genpts",
+          ...clips.flatMap((clip) => ["-i", clip.url]),
+          ...(musicFile ? [...backgroundAudioInputArgs(backgroundAudio), "-i", musicFile] : []),
+          ...(preparedOverlays || []).filter((o) => o.inputIndex !== null).flatMap((o) => ["-i", o.file]),
+          "-filter_complex_script", filterScriptPath,
+          "-map", video, "-map", audio,
+          ...concatOutputArgs(),
+          "-y", outputPath,
+        ], {
+          timeout: 600000,
+          signal,
+          durationSeconds: duration,
+          onProgress: (progress) => updateJobProgress(job, { ...progress, stage: "render", item: i + 1, items: variants.length }),
+        });
+        const outputDuration = (await probeDuration(outputPath)) ?? duration;
+        result.duration = outputDuration !== null ? Math.round(outputDuration * 100) / 100 : null;
+        outputs.set(variant.index, outputPath);
+      });
+    }
 
-        await uploadFileStreamToR2(signedUrl, zipPath, 'application/zip');
+    if (outputs.size === 0) {
+      throw new Error(`No variant could be rendered: ${results.find((result) => result.error)?.error}`);
+    }
 
-        const publicUrl = `https://pub-93cb8cc35ae64cf69f0ea248148ad1b2.r2.dev/${r2Config.bucketName}/${r2Path}`;
-        console.log(`✅ [${projectId}] ZIP enviado para R2`);
+    setJobStatus(job, "uploading");
+    let zipResult = null;
+    if (zip) {
+      const zipPath = path.join(tempDir, zip.filename);
+      const zipOutput = fsSync.createWriteStream(zipPath);
+      const archive = archiver("zip", { store: true }); // vídeos já comprimidos
+      archive.pipe(zipOutput);
+      for (const result of results) {
+        if (outputs.has(result.index)) archive.file(outputs.get(result.index), { name: result.filename });
+      }
+      await archive.finalize();
+      await new Promise((resolve, reject) => {
+        zipOutput.on("close", resolve);
+        zipOutput.on("error", reject);
+      });
 
-        // FASE 4: Limpeza
-        console.log(`🧹 [${projectId}] Fase 4: Limpando arquivos temporários...`);
-        for (const tempFile of tempFiles) {
-          await fs.unlink(tempFile).catch(() => {});
-        }
-        await fs.unlink(zipPath).catch(() => {});
-
-        const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`🎉 [${projectId}] Concluído em ${processingTime}s`);
-
-        res.json({
-          success: true,
-          r2Path: `r2://${r2Config.bucketName}/${r2Path}`,
-          publicUrl: publicUrl,
-          size: zipSizeBytes,
-          videosProcessed: successfulDownloads.length,
-          videosFailed: failedDownloads.length,
-          processingTimeSeconds: parseFloat(processingTime)
+      log.info("Uploading variants ZIP", { variants: outputs.size, driver: destination.driver });
+      const stored = await storeFile(destination, zipPath, {
+        defaultKey: `${folder}/${zip.filename}`,
+        contentType: "application/zip",
+        signal,
+        onProgress: ({ bytes, totalBytes }) => updateJobProgress(job, { bytes, totalBytes, percent: percentOf(bytes, totalBytes) }),
+      });
+      zipResult = { filename: zip.filename, url: stored.publicUrl || stored.uri, storage: stored, size: (await fs.stat(zipPath)).size };
+      for (const result of results) result.success = outputs.has(result.index);
+    } else {
+      let uploaded = 0;
+      for (const result of results) {
+        if (!outputs.has(result.index)) continue;
+        await isolate(result, "Upload failed", { filename: result.filename }, async () => {
+          const stored = await storeFile(destination, outputs.get(result.index), {
+            defaultKey: `${folder}/${result.filename}`,
+            contentType: "video/mp4",
+            signal,
+          });
+          Object.assign(result, { success: true, url: stored.publicUrl || stored.uri, storage: stored });
         });
-
-      } catch (error) {
-        console.error(`❌ [${projectId}] Erro:`, error);
-        
-        // Limpeza em caso de erro
-        for (const tempFile of tempFiles) {
-          await fs.unlink(tempFile).catch(() => {});
-        }
-        if (zipPath) await fs.unlink(zipPath).catch(() => {});
-        
-        res.status(500).json({ error: error.message });
+        uploaded++;
+        updateJobProgress(job, { item: uploaded, items: outputs.size, percent: percentOf(uploaded, outputs.size) });
       }
-    });
-  } catch (concurrencyError) {
-    console.error(`[${jobId}] Concurrency error:`, concurrencyError.message);
-    return res.status(503).json({
-      error: "Server busy",
-      details: concurrencyError.message,
-    });
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    log.info("Variants ready", { succeeded, total: variants.length });
+
+    return {
+      body: {
+        success: succeeded === variants.length,
+        total: variants.length,
+        succeeded,
+        failed: variants.length - succeeded,
+        variants: results,
+        ...(zipResult && { zip: zipResult }),
+      },
+    };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// ============================================
+// ERROS NÃO TRATADOS (sempre JSON, nunca stack)
+// ============================================
+// Depois de todas as rotas. Erros do express.json (JSON malformado, corpo `null`, corpo
+// grande demais) chegam aqui antes do validateBody: mesmo formato { error, details } das rotas.
+const BODY_PARSER_ERRORS = {
+  "entity.parse.failed": "Malformed JSON body",
+  "entity.too.large": "Request body too large",
+  "encoding.unsupported": "Unsupported body encoding",
+  "charset.unsupported": "Unsupported body charset",
+  "request.aborted": "Request aborted",
+};
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  if (BODY_PARSER_ERRORS[err.type]) {
+    return res.status(status).json({ error: BODY_PARSER_ERRORS[err.type], details: err.message });
+  }
+  if (status >= 500) {
+    log.error("Unhandled error", { error: err });
+    return res.status(500).json({ error: "Internal server error" });
   }
+  res.status(status).json({ error: err.expose ? err.message : "Bad request" });
 });
 
 // ============================================
 // LIMPEZA PERIÓDICA DE ARQUIVOS TEMPORÁRIOS
 // ============================================
-setInterval(
-  async () => {
-    try {
-      console.log("🧹 Running periodic cleanup...");
-      const tmpDir = "/tmp";
-      const files = await fs.readdir(tmpDir);
+const TEMP_FILE_PREFIXES = ["project-", "compress-", "subtitles-", "overlay-", "video_", "zip_", "upload-", "variants-", "probe-"];
 
-      let cleanedCount = 0;
-      const now = Date.now();
+// Roda a cada 15 minutos (setInterval no final do arquivo)
+async function periodicCleanup() {
+  try {
+    log.info("Running periodic cleanup");
+    const tmpDir = "/tmp";
+    const files = await fs.readdir(tmpDir);
 
-      for (const file of files) {
-        if (file.startsWith("project-") || file.startsWith("compress-") || 
-            file.startsWith("video_") || file.startsWith("zip_")) {
-          const filePath = path.join(tmpDir, file);
-          try {
-            const stats = await fs.stat(filePath);
-            if (now - stats.mtimeMs > 3600000) { // 1 hora
-              await fs.rm(filePath, { recursive: true, force: true });
-              cleanedCount++;
-              console.log(`🗑️ Removed old temp: ${file}`);
-            }
-          } catch (err) {}
-        }
+    let cleanedCount = 0;
+    const now = Date.now();
+
+    for (const file of files) {
+      if (TEMP_FILE_PREFIXES.some((prefix) => file.startsWith(prefix))) {
+        const filePath = path.join(tmpDir, file);
+        try {
+          const stats = await fs.stat(filePath);
+          if (now - stats.mtimeMs > 3600000) { // 1 hora
+            await fs.rm(filePath, { recursive: true, force: true });
+            cleanedCount++;
+            incCounter("ffmpeg_server_cleanup_removed_total", { kind: "temp_files" });
+            log.info("Removed old temp", { file });
+          }
+        } catch (err) {}
       }
+    }
 
-      console.log(`✅ Cleanup complete: ${cleanedCount} old items removed`);
+    log.info("Periodic cleanup complete", { removed: cleanedCount });
 
-      // REMOVIDO: pkill automático de processos ffmpeg
-      // Apenas log se houver muitos processos (para monitoramento)
-      try {
-        const { stdout } = await execAsync("pgrep ffmpeg | wc -l");
-        const processCount = parseInt(stdout.trim());
-        if (processCount > 10) {
-          console.warn(`⚠️ Muitos processos FFmpeg ativos: ${processCount}`);
-        }
-      } catch (err) {}
-    } catch (err) {
-      console.error("Cleanup error:", err.message);
+    const evictedSources = evictSourceCache(SOURCE_CACHE_TTL_MS);
+    incCounter("ffmpeg_server_cleanup_removed_total", { kind: "source_cache" }, evictedSources);
+    if (evictedSources > 0) {
+      log.info("Source cache eviction", { removed: evictedSources, idleHours: SOURCE_CACHE_TTL_MS / 3600000 });
     }
-  },
-  15 * 60 * 1000,
-); // A cada 15 minutos
-
-const server = app.listen(PORT, () => {
-  console.log(`🎬 FFmpeg Server v2.1.0 (streaming + concurrency limit) running on port ${PORT}`);
-  console.log(`✅ Health check: http://localhost:${PORT}/health`);
-  console.log(`🧹 Periodic cleanup enabled (every 15 minutes)`);
-  console.log(`⚡ Optimizations: streaming downloads, streaming uploads, archiver ZIP`);
-  console.log(`🔒 Concurrency limit: ${MAX_CONCURRENT_JOBS} jobs simultâneos por máquina`);
-});
 
-// Configurações de timeout para processamentos longos
-server.timeout = 300000; // 5 minutos
-server.keepAliveTimeout = 310000;
-server.headersTimeout = 320000;
+    const prunedJobs = pruneJobs();
+    incCounter("ffmpeg_server_cleanup_removed_total", { kind: "job_records" }, prunedJobs);
+    if (prunedJobs > 0) {
+      log.info("Removed expired job records", { removed: prunedJobs });
+    }
+
+    // REMOVIDO: pkill automático de processos ffmpeg
+    // Apenas log se houver muitos processos (para monitoramento)
+    const processCount = await countFfmpegProcesses();
+    if (processCount > 10) {
+      log.warn("Many active FFmpeg processes", { processes: processCount });
+    }
+  } catch (err) {
+    log.error("Cleanup error", { error: err.message });
+  }
+}
+
+// `node server.js` sobe o servidor; require("./server") (testes) só carrega os helpers exportados
+if (require.main === module) {
+  setInterval(periodicCleanup, 15 * 60 * 1000);
+
+  const server = app.listen(PORT, () => {
+    log.info("FFmpeg server running", { port: PORT, version: require("./package.json").version });
+    log.info("Health check available", { url: `http://localhost:${PORT}/health` });
+    log.info("Periodic cleanup enabled", { everyMinutes: 15 });
+    if (API_KEYS.length > 0) {
+      log.info("API keys loaded", { apiKeys: API_KEYS.map((apiKey) => apiKey.name) });
+    } else {
+      log.warn("No API key configured - authentication disabled");
+    }
+    log.info("Concurrency limits", { ...Object.fromEntries(Object.entries(QUEUE_POOLS).map(([name, pool]) => [name, pool.limit])), maxQueueLength: MAX_QUEUE_LENGTH });
+  });
+
+  // Configurações de timeout para processamentos longos
+  // (rotas de job síncronas desligam o timeout do próprio request: ver runJob)
+  server.timeout = 300000; // 5 minutos
+  server.keepAliveTimeout = 310000;
+  server.headersTimeout = 320000;
+
+  log.info("Server timeouts", { timeoutSeconds: server.timeout / 1000, keepAliveSeconds: server.keepAliveTimeout / 1000 });
+}
 
-console.log(`⏱️ Server timeouts: ${server.timeout / 1000}s processing, ${server.keepAliveTimeout / 1000}s keep-alive`);
+// Helpers puros usados pelos testes (test/*.test.js)
+module.exports = {
+  isPrivateAddress,
+  assertOutboundUrl,
+  safeLookup,
+  generateS3SignedUrl,
+  presignS3Url,
+  parseBitrate,
+  resolveCompressEncoding,
+  targetVideoBitrate,
+  resolveVariants,
+  validateSchema,
+  COMPRESS_SCHEMA,
+};
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseBitrate, resolveCompressEncoding, targetVideoBitrate } = require("../server");
+
+test("parseBitrate reads k/M suffixes and plain numbers as bits per second", () => {
+  assert.equal(parseBitrate("800k"), 800000);
+  assert.equal(parseBitrate("800K"), 800000);
+  assert.equal(parseBitrate("5M"), 5000000);
+  assert.equal(parseBitrate("2.5m"), 2500000);
+  assert.equal(parseBitrate(128000), 128000);
+  assert.equal(parseBitrate("128000"), 128000);
+  for (const value of ["abc", "5 Mb", "-1k", "0", "0k", ""]) {
+    assert.equal(parseBitrate(value), null, value);
+  }
+});
+
+test("resolveCompressEncoding converts bitrates and applies defaults", () => {
+  assert.deepEqual(resolveCompressEncoding({ maxBitrate: "800k" }), {
+    maxBitrateBps: 800000,
+    audioBitrateBps: 128000,
+    targetSizeMB: null,
+    maxWidth: null,
+    maxHeight: null,
+  });
+  const encoding = resolveCompressEncoding({ maxBitrate: "2.5M", audioBitrate: "96k", targetSizeMB: 8, maxWidth: 1280 });
+  assert.equal(encoding.maxBitrateBps, 2500000);
+  assert.equal(encoding.audioBitrateBps, 96000);
+  assert.equal(encoding.targetSizeMB, 8);
+  assert.equal(encoding.maxWidth, 1280);
+});
+
+test("resolveCompressEncoding rejects invalid values with 400", () => {
+  const cases = [
+    [{ maxBitrate: "fast" }, /maxBitrate/],
+    [{ audioBitrate: "0k" }, /audioBitrate/],
+    [{ targetSizeMB: 0 }, /targetSizeMB/],
+    [{ targetSizeMB: 8, codec: "libx265" }, /requires codec libx264/],
+    [{ maxHeight: 15 }, /maxHeight/],
+    [{ maxWidth: 640.5 }, /maxWidth/],
+  ];
+  for (const [body, message] of cases) {
+    assert.throws(() => resolveCompressEncoding(body), (err) => err.statusCode === 400 && message.test(err.message), JSON.stringify(body));
+  }
+});
+
+test("targetVideoBitrate leaves room for audio and container overhead", () => {
+  // 10 MB em 60 s: 1398101 bps no total, 2% de overhead, menos 128 kbps de áudio
+  assert.equal(targetVideoBitrate(10, 60, 128000), 1242139);
+  assert.equal(targetVideoBitrate(10, 60, 0), 1370139);
+  assert.ok(targetVideoBitrate(1, 600, 128000) < 0);
+});
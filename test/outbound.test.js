@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isPrivateAddress, assertOutboundUrl, safeLookup } = require("../server");
+
+test("isPrivateAddress covers private, loopback, link-local and mapped IPv6", () => {
+  for (const address of ["10.1.2.3", "127.0.0.1", "169.254.169.254", "172.16.0.1", "192.168.1.1", "100.64.0.1", "0.0.0.0", "::1", "fc00::1", "fe80::1", "::ffff:127.0.0.1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "1.1.1.1", "172.32.0.1", "2606:4700:4700::1111"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("assertOutboundUrl blocks private IP literals with 400", () => {
+  for (const url of ["http://127.0.0.1/a.mp4", "http://169.254.169.254/latest/meta-data/", "http://[::1]:8080/", "http://10.0.0.5/x"]) {
+    assert.throws(() => assertOutboundUrl(url), (err) => err.statusCode === 400 && /private address/.test(err.message), url);
+  }
+});
+
+test("assertOutboundUrl blocks protocols other than http(s)", () => {
+  for (const url of ["file:///etc/passwd", "ftp://example.com/a.mp4", "gopher://example.com/"]) {
+    assert.throws(() => assertOutboundUrl(url), (err) => err.statusCode === 400 && /unsupported protocol/.test(err.message), url);
+  }
+});
+
+test("assertOutboundUrl accepts public URLs and trusted storage endpoints", () => {
+  assert.doesNotThrow(() => assertOutboundUrl("https://cdn.example.com/video.mp4"));
+  assert.doesNotThrow(() => assertOutboundUrl("http://8.8.8.8/video.mp4"));
+  assert.doesNotThrow(() => assertOutboundUrl("http://10.0.0.5:9000/bucket/key", { trusted: true }));
+});
+
+test("safeLookup rejects hosts that resolve to a private address", async () => {
+  const err = await new Promise((resolve) => safeLookup("localhost", {}, (error) => resolve(error)));
+  assert.equal(err?.statusCode, 400);
+  assert.match(err.message, /localhost resolves to private address/);
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateSchema, COMPRESS_SCHEMA } = require("../server");
+
+test("validateSchema accepts a valid /compress body", () => {
+  assert.deepEqual(validateSchema(COMPRESS_SCHEMA, { videoUrl: "https://cdn.example.com/a.mp4", crf: 28, maxBitrate: "800k", preset: "fast" }), []);
+});
+
+test("validateSchema reports each invalid field", () => {
+  const fields = validateSchema(COMPRESS_SCHEMA, { videoUrl: "ftp://cdn.example.com/a.mp4", crf: 60, preset: "turbo", maxBitrate: "lots" });
+  const byField = Object.fromEntries(fields.map(({ field, message }) => [field, message]));
+  assert.deepEqual(Object.keys(byField).sort(), ["crf", "maxBitrate", "preset", "videoUrl"]);
+  assert.equal(byField.crf, "must be <= 51");
+  assert.match(byField.preset, /^must be one of: ultrafast/);
+});
+
+test("validateSchema handles required fields, types and anyOf", () => {
+  const schema = {
+    type: "object",
+    required: ["url"],
+    properties: {
+      url: { type: "string" },
+      size: { anyOf: [{ type: "integer", minimum: 1 }, { type: "string", pattern: "^\\d+k$" }] },
+    },
+  };
+  assert.deepEqual(validateSchema(schema, { url: "x", size: "10k" }), []);
+  assert.deepEqual(validateSchema(schema, { url: "x", size: 0 }), [{ field: "size", message: "must be >= 1" }]);
+  assert.deepEqual(validateSchema(schema, { size: 2 }).map(({ field }) => field), ["url"]);
+  assert.equal(validateSchema(schema, [])[0].field, "body");
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveVariants } = require("../server");
+
+const groups = {
+  hook: [{ url: "https://cdn.example.com/h1.mp4", name: "pergunta" }, "https://cdn.example.com/h2.mp4"],
+  cta: ["https://cdn.example.com/c1.mp4", "https://cdn.example.com/c2.mp4"],
+};
+
+test("resolveVariants renders every combination in group order", () => {
+  const { order, variants } = resolveVariants({ groups }, "camp");
+  assert.deepEqual(order, ["hook", "cta"]);
+  assert.deepEqual(variants.map((variant) => variant.filename), [
+    "hook-pergunta_cta-1.mp4",
+    "hook-pergunta_cta-2.mp4",
+    "hook-2_cta-1.mp4",
+    "hook-2_cta-2.mp4",
+  ]);
+  assert.deepEqual(variants.map((variant) => variant.index), [1, 2, 3, 4]);
+  assert.equal(variants[2].picks[0].clip.url, "https://cdn.example.com/h2.mp4");
+});
+
+test("resolveVariants picks integer combinations 1-based, like the default names", () => {
+  const { variants } = resolveVariants({ groups, combinations: [{ hook: 2, cta: 1 }, { hook: "pergunta", cta: "2" }], outputFilename: "{projectId}-{index}-{hook}.mp4" }, "camp");
+  assert.deepEqual(variants.map((variant) => variant.picks.map((pick) => pick.clip.url)), [
+    ["https://cdn.example.com/h2.mp4", "https://cdn.example.com/c1.mp4"],
+    ["https://cdn.example.com/h1.mp4", "https://cdn.example.com/c2.mp4"],
+  ]);
+  assert.deepEqual(variants.map((variant) => variant.filename), ["camp-1-2.mp4", "camp-2-pergunta.mp4"]);
+});
+
+test("resolveVariants rejects bad combinations and file names with 400", () => {
+  const cases = [
+    [{ groups, combinations: [{ hook: 3, cta: 1 }] }, /combinations\[0\]\.hook: no clip 3/],
+    [{ groups, combinations: [{ hook: 1 }] }, /missing group cta/],
+    [{ groups, combinations: [{ hook: 1, cta: 1, outro: 1 }] }, /unknown group/],
+    [{ groups, order: ["hook"] }, /between 2 and/],
+    [{ groups, order: ["hook", "body"] }, /unknown group body/],
+    [{ groups, outputFilename: "{hook}.mp4" }, /more than once/],
+    [{ groups, outputFilename: "{hook}-{music}.mp4" }, /unknown placeholder \{music\}/],
+  ];
+  for (const [body, message] of cases) {
+    assert.throws(() => resolveVariants(body, "camp"), (err) => err.statusCode === 400 && message.test(err.message), JSON.stringify(body));
+  }
+});